@@ -0,0 +1,140 @@
+/**
+ * PocketBase FiveM Game Client
+ * Forwards calls from client scripts and NUI pages to the server broker.
+ * Requests run as the player's own auth record (see Config.ClientAccess).
+ */
+(function () {
+  // Time to wait for the server broker before failing a request
+  const REQUEST_TIMEOUT = 15000;
+
+  // requestId -> { resolve, reject, timeout }
+  const pendingRequests = new Map();
+  let nextRequestId = 1;
+
+  // "collection:topic" -> callback
+  const subscriptions = new Map();
+
+  /**
+   * Send a request to the server broker
+   */
+  function request(op, ...args) {
+    return new Promise((resolve, reject) => {
+      const requestId = nextRequestId++;
+
+      const timeout = setTimeout(() => {
+        pendingRequests.delete(requestId);
+        reject(new Error(`PocketBase request "${op}" timed out`));
+      }, REQUEST_TIMEOUT);
+
+      pendingRequests.set(requestId, { resolve, reject, timeout });
+      emitNet("pocketbase:broker:request", requestId, op, args);
+    });
+  }
+
+  onNet("pocketbase:broker:response", (requestId, ok, result) => {
+    const pending = pendingRequests.get(requestId);
+    if (!pending) {
+      return;
+    }
+
+    pendingRequests.delete(requestId);
+    clearTimeout(pending.timeout);
+
+    if (ok) {
+      pending.resolve(result);
+    } else {
+      const error = new Error(result.message);
+      error.status = result.status;
+      pending.reject(error);
+    }
+  });
+
+  onNet("pocketbase:broker:realtime", (collection, topic, data) => {
+    // Emit to a client event that scripts can listen to
+    emit(`pocketbase:${collection}:${topic}`, data);
+
+    // Also call the callback if provided
+    const callback = subscriptions.get(`${collection}:${topic}`);
+    if (callback && typeof callback === "function") {
+      callback(data);
+    }
+  });
+
+  // ============================================================================
+  // Exports
+  // ============================================================================
+
+  /**
+   * Get a list of records
+   * @export
+   */
+  exports("getList", (collection, page = 1, perPage = 30, options = {}) => {
+    return request("getList", collection, page, perPage, options);
+  });
+
+  /**
+   * Get a single record by ID
+   * @export
+   */
+  exports("getOne", (collection, id, options = {}) => {
+    return request("getOne", collection, id, options);
+  });
+
+  /**
+   * Create a new record
+   * @export
+   */
+  exports("create", (collection, data, options = {}) => {
+    return request("create", collection, data, options);
+  });
+
+  /**
+   * Update a record
+   * @export
+   */
+  exports("update", (collection, id, data, options = {}) => {
+    return request("update", collection, id, data, options);
+  });
+
+  /**
+   * Subscribe to realtime changes
+   * @export
+   */
+  exports("subscribe", async (collection, topic = "*", callbackRef = null) => {
+    await request("subscribe", collection, topic);
+    subscriptions.set(`${collection}:${topic}`, callbackRef);
+    return true;
+  });
+
+  /**
+   * Unsubscribe from realtime changes
+   * @export
+   */
+  exports("unsubscribe", async (collection, topic = "*") => {
+    subscriptions.delete(`${collection}:${topic}`);
+    return await request("unsubscribe", collection, topic);
+  });
+
+  // ============================================================================
+  // NUI
+  // ============================================================================
+  // NUI pages of any resource can call the broker:
+  // fetch("https://pb/pocketbase", {
+  //   method: "POST",
+  //   body: JSON.stringify({ op: "getList", args: ["posts", 1, 20] }),
+  // })
+
+  RegisterNuiCallbackType("pocketbase");
+
+  on("__cfx_nui:pocketbase", async (data, cb) => {
+    try {
+      const result = await request(data.op, ...(data.args || []));
+      cb({ ok: true, data: result });
+    } catch (error) {
+      cb({
+        ok: false,
+        error: { status: error.status || 0, message: error.message },
+      });
+    }
+  });
+})();
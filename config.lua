@@ -47,7 +47,8 @@ Config.Port = 8090
 -- Auto-generated on first startup if left empty
 --
 -- SECURITY WARNING: Credentials are stored in plain text
--- Make sure this file has proper permissions!
+-- Make sure this file has proper permissions, or keep them out of this file
+-- with a convar or the secrets file (see below)
 -- ============================================================================
 Config.Superuser = {
     -- Leave empty for auto-generation on first startup
@@ -55,6 +56,164 @@ Config.Superuser = {
     Password = "",
 }
 
+-- ============================================================================
+-- OVERRIDES & SECRETS
+-- ============================================================================
+-- Every option can also be set outside this file. Later sources win:
+--   1. this file
+--   2. the secrets file below
+--   3. convars in server.cfg       set pb_port 8090
+--                                  set pb_superuser_password "..."
+--   4. environment variables       PB_PORT=8090
+--                                  PB_SUPERUSER_PASSWORD=...
+--
+-- Names are the option path in snake_case, e.g. Advanced.SMTP.Password is
+-- pb_advanced_smtp_password / PB_ADVANCED_SMTP_PASSWORD
+-- Lists are comma-separated ("license,discord"), Permissions.Resources,
+-- Cache.Collections and Advanced.RateLimits.Rules take JSON
+--
+-- Use "set", never "sets" - sets publishes the value in the server info
+--
+-- Set a secrets key (convar pb_secrets_key or PB_SECRETS_KEY, never in a
+-- file) to store passwords and the S3 secret key encrypted. PocketBase then
+-- encrypts its stored settings with it too - keep the key safe!
+-- To change it, set the old key as pb_secrets_previous_key for one start
+-- and run "pb secrets encrypt" (see README)
+-- ============================================================================
+Config.Secrets = {
+    -- Save generated credentials (and SMTP/S3 secrets changed in the admin
+    -- UI) to this file instead of config.lua, e.g. "pb_secrets.lua"
+    -- It is created next to config.lua - keep it out of version control
+    -- Leave empty to keep everything in config.lua
+    File = "",
+}
+
+-- ============================================================================
+-- CONFIG RELOAD
+-- ============================================================================
+-- true: changes are picked up a few seconds after this file (or the secrets
+-- file) is saved. Run "pb reload" in the console to reload by hand
+--
+--   • Applied live: PocketBase settings (SMTP, S3, Batch, Meta, RateLimits,
+--     ...), Backup, Superuser, Queue, Permissions, Migrations,
+--     Advanced.LogLevel and most other options
+--   • Restarts PocketBase only (resources keep running): Port, ExposeAdmin,
+--     Host, Advanced.Dev/AutoMigrate/DataDir/PublicDir, Migrations.Dir,
+--     Secrets
+--   • Needs "restart pb": ClientAccess, PlayerLinking, Cache,
+--     WriteBuffer.FlushInterval
+-- ============================================================================
+Config.HotReload = true
+
+-- ============================================================================
+-- PENDING CALL QUEUE
+-- ============================================================================
+-- Export calls made while PocketBase is starting, restarting or
+-- re-authenticating are held and run once it is ready again
+-- false: calls made before PocketBase is ready fail immediately
+-- ============================================================================
+Config.Queue = {
+    -- Hold calls until PocketBase is ready
+    Enabled = true,
+
+    -- Maximum number of waiting calls (further calls fail immediately)
+    MaxSize = 500,
+
+    -- Milliseconds a call may wait before failing
+    Timeout = 30000,
+}
+
+-- ============================================================================
+-- RESOURCE PERMISSIONS
+-- ============================================================================
+-- Controls what other resources may do through the exports
+-- Access levels (each includes the ones before it):
+--   "none"  - no access
+--   "read"  - getList, getOne, subscribe, ...
+--   "write" - create, update, delete, batchSend, auth methods
+--   "admin" - collection management, truncate, import, backups
+--
+-- Resources lists per-resource access by collection name
+-- Use "*" for every collection not listed explicitly:
+--   ["my_inventory"] = { ["inventory"] = "write", ["*"] = "read" },
+--   ["my_admin_panel"] = { ["*"] = "admin" },
+-- ============================================================================
+Config.Permissions = {
+    -- Access for resources not listed below ("admin" keeps the old behavior)
+    Default = "admin",
+
+    Resources = {
+    },
+}
+
+-- ============================================================================
+-- PLAYER LINKING
+-- ============================================================================
+-- Links every connecting player to a record in an auth collection
+-- Records are found (or created) by the player's FiveM identifiers, and the
+-- name, IP and last-seen fields are kept up to date
+--
+-- The auth collection needs a text field for every identifier type below
+-- (e.g. "license", "discord") plus the name/ip/last_seen fields you use
+-- ============================================================================
+Config.PlayerLinking = {
+    -- Enable player linking
+    Enabled = false,
+
+    -- Auth collection holding player accounts
+    AuthCollection = "users",
+
+    -- Identifier types stored on the record, in lookup order
+    -- Each one is stored in a field with the same name
+    Identifiers = { "license", "discord", "steam" },
+
+    -- Fields updated on every connect (leave empty to skip)
+    NameField = "name",
+    IPField = "ip",
+    LastSeenField = "last_seen",
+
+    -- Lifetime of tokens returned by getPlayerToken in seconds
+    TokenDuration = 3600,
+}
+
+-- ============================================================================
+-- GAME CLIENT ACCESS
+-- ============================================================================
+-- Lets client scripts and NUI pages use PocketBase through a server broker
+-- Requests run as the player's own record in AuthCollection, so the
+-- collection API rules apply (never as superuser)
+-- ============================================================================
+Config.ClientAccess = {
+    -- Enable the client broker
+    Enabled = false,
+
+    -- Auth collection holding player accounts
+    AuthCollection = "users",
+
+    -- FiveM identifier used to find a player's record (license, discord, steam, ...)
+    IdentifierType = "license",
+
+    -- Field in AuthCollection storing that identifier
+    IdentifierField = "license",
+
+    -- Operations game clients may call (unsubscribe is allowed with subscribe)
+    Operations = { "getList", "getOne", "create", "update", "subscribe" },
+
+    -- Maximum requests per player within RateWindow seconds
+    RateLimit = 20,
+    RateWindow = 10,
+
+    -- Maximum size of a single request payload in bytes
+    MaxRequestSize = 16384,
+
+    -- Maximum perPage a client may request from getList
+    MaxPerPage = 100,
+
+    -- Lifetime in seconds of the tokens the broker uses for each player
+    -- (renewed before they expire)
+    TokenDuration = 3600,
+}
+
 -- ============================================================================
 -- AUTO UPDATE
 -- ============================================================================
@@ -64,6 +223,29 @@ Config.Superuser = {
 -- ============================================================================
 Config.AutoUpdate = false
 
+-- ============================================================================
+-- PROCESS WATCHDOG
+-- ============================================================================
+-- Automatically restarts PocketBase if the process exits unexpectedly
+-- Restarts use exponential backoff and stop after too many crashes in a row
+-- ============================================================================
+Config.Watchdog = {
+    -- Restart PocketBase automatically after a crash
+    Enabled = true,
+
+    -- Maximum restarts allowed within CrashWindow before giving up
+    MaxRestarts = 5,
+
+    -- Time window in seconds used to detect a crash loop
+    CrashWindow = 300,
+
+    -- Delay before the first restart in milliseconds (doubles after each crash)
+    BaseDelay = 1000,
+
+    -- Maximum delay between restarts in milliseconds
+    MaxDelay = 30000,
+}
+
 -- ============================================================================
 -- MIGRATION CONFIGURATION
 -- ============================================================================
@@ -75,6 +257,75 @@ Config.Migrations = {
     -- Directory where migration files are stored
     -- Default: "pb_migrations"
     Dir = "pb_migrations",
+
+    -- Refuse to start PocketBase when a migration fails to apply
+    -- false: the failure is shown as a warning and PocketBase starts anyway
+    Strict = false,
+}
+
+-- ============================================================================
+-- READ CACHE
+-- ============================================================================
+-- Cache getOne / getFirstListItem results of hot collections in memory.
+-- Entries are dropped on realtime create/update/delete events, so changes
+-- made in the admin UI or by other writers are picked up immediately.
+-- ============================================================================
+Config.Cache = {
+    -- Per collection: TTL in seconds, MaxSize in cached results
+    Collections = {
+        -- ["players"] = { TTL = 60, MaxSize = 1000 },
+        -- ["jobs"] = { TTL = 600, MaxSize = 100 },
+    },
+}
+
+-- ============================================================================
+-- AGGREGATES
+-- ============================================================================
+-- The aggregate export computes sums, averages, minimums and maximums in
+-- PocketBase. Each distinct definition is backed by a view collection
+-- (pb_agg_<hash>) that shows up in the admin UI and is deleted after an
+-- hour without use.
+-- ============================================================================
+Config.Aggregates = {
+    -- Allow the aggregate export to create its view collections
+    Views = false,
+}
+
+-- ============================================================================
+-- WRITE-BEHIND BUFFER
+-- ============================================================================
+-- queueUpdate() merges frequent updates of a record (positions, stats,
+-- inventory) and writes them in batches. Requires the Batch API to be
+-- enabled in PocketBase.
+-- ============================================================================
+Config.WriteBuffer = {
+    -- Milliseconds between flushes
+    FlushInterval = 2000,
+
+    -- Flush early once this many records have pending updates
+    FlushSize = 50,
+
+    -- Hard cap - queueUpdate fails once this many records are pending
+    MaxPending = 5000,
+
+    -- Failed flushes are retried this many times before the update is dropped
+    MaxRetries = 5,
+}
+
+-- ============================================================================
+-- SCHEMA SYNC
+-- ============================================================================
+-- Resources can declare the collections they need with the defineSchema
+-- export or a schema file (pb_schema 'schema.json' in their fxmanifest).
+-- Only the differences to the live collections are applied.
+-- ============================================================================
+Config.Schema = {
+    -- Only print the planned changes, never apply them
+    DryRun = false,
+
+    -- Allow dropping undeclared fields and recreating fields whose type
+    -- changed - both delete data. Destructive changes are skipped otherwise
+    AllowDestructive = false,
 }
 
 -- ============================================================================
@@ -102,10 +353,18 @@ Config.Backup = {
 -- ============================================================================
 -- ADVANCED OPTIONS (rarely need to change these)
 -- ============================================================================
+-- Sections with an Enabled flag below (SMTP to Backups) are PocketBase
+-- settings. While enabled, this file is the source of truth: pb applies them
+-- on startup and on reload, and saves changes made in the admin UI back here
+-- when it stops (except secrets). Disabled sections are left to the admin UI
+-- ============================================================================
 Config.Advanced = {
     -- Enable development mode (more verbose logging)
     Dev = false,
 
+    -- Console log level: "debug", "info", "warn" or "error"
+    LogLevel = "info",
+
     -- Enable automatic database migrations
     AutoMigrate = true,
 
@@ -141,6 +400,90 @@ Config.Advanced = {
         -- Force path style (for MinIO and some S3-compatible services)
         ForcePathStyle = false,
     },
+
+    -- Batch API (used by batchSend and queueUpdate)
+    -- When enabled, pb turns the Batch API on with these limits at startup
+    -- Larger batches are split into chunks of MaxRequests automatically
+    -- Upgrading: this replaces Batch API limits set in the admin UI - copy
+    -- them here first, or set Enabled = false to keep managing them there
+    Batch = {
+        Enabled = true,
+        -- Max requests per batch transaction
+        MaxRequests = 50,
+        -- Max seconds a batch transaction may take
+        Timeout = 3,
+        -- Max request body size in bytes (0 = PocketBase default)
+        MaxBodySize = 0,
+    },
+
+    -- Application name, URL and the sender of system emails
+    -- Leave a field empty to keep the value set in the admin UI
+    Meta = {
+        Enabled = false,
+        AppName = "",
+        -- Used in email links, e.g. "https://myserver.com:8090"
+        AppURL = "",
+        SenderName = "",
+        SenderAddress = "",
+        -- Hide the collection create and edit controls in the admin UI
+        HideControls = false,
+    },
+
+    -- Built-in API rate limiter (per client IP)
+    -- Label: "/api/path" prefix, "collection:action" (e.g. "users:auth")
+    -- or "*:action" for every collection
+    -- Audience: "" (everyone), "@guest" or "@auth"
+    -- Superuser requests are never limited, but calls pb makes for players
+    -- (ClientAccess, getPlayerToken) all come from 127.0.0.1
+    RateLimits = {
+        Enabled = false,
+        Rules = {
+            { Label = "*:auth", MaxRequests = 2, Duration = 3, Audience = "" },
+            { Label = "*:create", MaxRequests = 20, Duration = 5, Audience = "" },
+            { Label = "/api/batch", MaxRequests = 3, Duration = 1, Audience = "" },
+            { Label = "/api/", MaxRequests = 300, Duration = 10, Audience = "" },
+        },
+    },
+
+    -- Request logs
+    Logs = {
+        Enabled = false,
+        -- Days to keep logs (0 = logging disabled)
+        MaxDays = 5,
+        -- Lowest level to store: -4 debug, 0 info, 4 warn, 8 error
+        MinLevel = 0,
+        LogIP = true,
+        LogAuthId = false,
+    },
+
+    -- Headers holding the real client IP behind a reverse proxy
+    -- Example: { "X-Forwarded-For" } or { "CF-Connecting-IP" } for Cloudflare
+    TrustedProxy = {
+        Enabled = false,
+        Headers = {},
+        -- Use the leftmost IP of X-Forwarded-For (the rightmost is safer)
+        UseLeftmostIP = false,
+    },
+
+    -- PocketBase's own scheduled backups (Settings > Backups in the admin UI)
+    -- These run inside PocketBase, separately from Config.Backup above
+    Backups = {
+        Enabled = false,
+        -- Cron expression, e.g. "0 0 * * *" for daily at midnight ("" = off)
+        Cron = "",
+        -- Number of scheduled backups to keep
+        CronMaxKeep = 3,
+        -- Store backups in S3-compatible storage instead of pb_data/backups
+        S3 = {
+            Enabled = false,
+            Bucket = "",
+            Region = "",
+            Endpoint = "",
+            AccessKey = "",
+            SecretKey = "",
+            ForcePathStyle = false,
+        },
+    },
 }
 
 return Config
@@ -14,8 +14,15 @@ server_scripts {
     'utils/config-loader.js',
     'utils/process-utils.js',
     'utils/server.js',
-    'utils/client.js'
+    'utils/client.js',
+    'utils/player-identity.js',
+    'utils/schema.js',
+    'utils/client-broker.js'
 }
 
+-- Game-client access through the server broker (see Config.ClientAccess)
+client_script 'client/pocketbase.js'
+
 -- Testing script
 --server_script 'tests.lua'
+--server_script 'tests.js'
@@ -0,0 +1,144 @@
+-- PocketBase query builder
+-- Include it in your resource's fxmanifest.lua:
+--   server_script '@pb/lib/query.lua'
+--
+-- local players = pbQuery("players")
+--     :where("level", ">=", 10)
+--     :whereIn("job", { "police", "ems" })
+--     :sort("-level")
+--     :limit(10)
+--     :all()
+--
+-- Values are always bound as parameters, never concatenated into the filter.
+-- Conditions are AND-ed; orWhere starts a new group that is OR-ed:
+--   :where(a):where(b):orWhere(c)  ->  (a && b) || (c)
+
+local PB_RESOURCE = 'pb'
+
+local Query = {}
+Query.__index = Query
+
+-- Create a query for a collection
+function pbQuery(collection)
+    return setmetatable({
+        collection = collection,
+        spec = {
+            groups = { {} },
+            sort = {},
+            expand = {},
+            fields = {},
+        },
+    }, Query)
+end
+
+local function addCondition(self, field, op, value)
+    local group = self.spec.groups[#self.spec.groups]
+    group[#group + 1] = { field = field, op = op, value = value }
+    return self
+end
+
+-- :where(field, value) or :where(field, operator, value)
+-- Operators: = != > >= < <= ~ !~ and their ?= "any" variants
+function Query:where(field, op, ...)
+    if select('#', ...) == 0 then
+        return addCondition(self, field, '=', op)
+    end
+    return addCondition(self, field, op, ...)
+end
+
+-- Start a new OR group with this condition
+function Query:orWhere(field, op, ...)
+    if #self.spec.groups[#self.spec.groups] > 0 then
+        self.spec.groups[#self.spec.groups + 1] = {}
+    end
+    return self:where(field, op, ...)
+end
+
+-- Match any of the values
+function Query:whereIn(field, values)
+    local group = self.spec.groups[#self.spec.groups]
+    group[#group + 1] = { field = field, op = 'in', values = values }
+    return self
+end
+
+-- :sort("level", "desc") or :sort("-level")
+function Query:sort(field, direction)
+    if direction == 'desc' then
+        field = '-' .. field
+    end
+    self.spec.sort[#self.spec.sort + 1] = field
+    return self
+end
+
+-- Expand relations: :expand("author", "comments_via_post")
+function Query:expand(...)
+    for _, relation in ipairs({ ... }) do
+        self.spec.expand[#self.spec.expand + 1] = relation
+    end
+    return self
+end
+
+-- Only return these fields: :fields("id", "name", "expand.author.name")
+function Query:fields(...)
+    for _, field in ipairs({ ... }) do
+        self.spec.fields[#self.spec.fields + 1] = field
+    end
+    return self
+end
+
+function Query:page(page)
+    self.spec.page = page
+    return self
+end
+
+function Query:limit(limit)
+    self.spec.limit = limit
+    return self
+end
+
+-- ============================================================================
+-- Terminals
+-- ============================================================================
+
+local function run(self, terminal)
+    return exports[PB_RESOURCE]:runQuery(self.collection, self.spec, terminal)
+end
+
+-- All matching records (one page when page/limit is set)
+function Query:all()
+    return run(self, 'all')
+end
+
+-- First matching record or nil
+function Query:first()
+    return run(self, 'first')
+end
+
+-- Number of matching records
+function Query:count()
+    return run(self, 'count')
+end
+
+-- Whether any record matches
+function Query:exists()
+    return run(self, 'exists')
+end
+
+-- { page, perPage, totalItems, totalPages, items }
+function Query:paginate()
+    return run(self, 'paginate')
+end
+
+-- Call fn(records, info) for every batch of matching records (see eachBatch)
+-- Return false from fn to stop early. Sort is replaced by the keyset order
+function Query:each(fn, batchSize)
+    local options = self:toOptions()
+    options.sort = nil
+    options.batchSize = batchSize
+    return exports[PB_RESOURCE]:eachBatch(self.collection, fn, options)
+end
+
+-- The compiled options, e.g. for getList or subscribe
+function Query:toOptions()
+    return exports[PB_RESOURCE]:compileQuery(self.spec)
+end
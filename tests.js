@@ -0,0 +1,312 @@
+// Tests for pb internals the exports don't reach (config files, CLI output,
+// permission checks of other resources)
+// Runs next to tests.lua - enable both in fxmanifest.lua
+// Reports success/failure for each case
+
+(function () {
+  const fs = require("fs");
+  const os = require("os");
+  const path = require("path");
+  const configLoader = require("./utils/config-loader.js");
+
+  let testsPassed = 0;
+  let testsFailed = 0;
+  const failedTests = [];
+
+  // Helper function for test cases with test tracking
+  async function testCase(testName, fn) {
+    try {
+      await fn();
+      testsPassed++;
+    } catch (err) {
+      testsFailed++;
+      failedTests.push({ name: testName, error: err.message });
+      console.log(`^1[Internal Test Failed]^7 ${testName}: ${err.message}`);
+    }
+  }
+
+  // fn may be sync or async
+  async function assertFails(fn, code, what) {
+    let error = null;
+    try {
+      await fn();
+    } catch (err) {
+      error = err;
+    }
+    if (!error || error.code !== code) {
+      throw new Error(
+        `${what}: expected ${code}, got ${error ? error.code || error.message : "no error"}`,
+      );
+    }
+  }
+
+  function assertEqual(actual, expected, what) {
+    const a = JSON.stringify(actual);
+    const e = JSON.stringify(expected);
+    if (a !== e) {
+      throw new Error(`${what}: expected ${e}, got ${a}`);
+    }
+  }
+
+  // Display final test results
+  function displayTestResults() {
+    console.log("");
+    console.log("^5═══════════════════════════════════════════════════════^7");
+    console.log("^5           PocketBase Internal Test Results^7");
+    console.log("^5═══════════════════════════════════════════════════════^7");
+    console.log("");
+    console.log(`^2✓ Passed: ^7${testsPassed}`);
+    console.log(`^1✗ Failed: ^7${testsFailed}`);
+    console.log("");
+    if (testsFailed > 0) {
+      console.log("^1Failed Tests:^7");
+      for (const test of failedTests) {
+        console.log(`  ^1• ${test.name}^7`);
+        console.log(`    ${test.error}`);
+      }
+    } else {
+      console.log("^2All internal tests passed!^7");
+    }
+    console.log("");
+  }
+
+  // ============================================================================
+  // Fixtures
+  // ============================================================================
+
+  // Output of `pocketbase migrate up` applying two migrations
+  const MIGRATE_UP_OUTPUT = [
+    "Applied 1718000000_created_players.js",
+    "Applied 1718000100_updated_players.js",
+    "",
+  ].join("\n");
+
+  // Output of `pocketbase migrate down 1`: the confirmation prompt lists the
+  // names first, then the result - colored when PocketBase thinks it's a TTY
+  const MIGRATE_DOWN_OUTPUT = [
+    "? ",
+    "1718000100_updated_players.js",
+    "Do you really want to revert the last 1 applied migration(s)? (y/N) y",
+    "\x1b[32mReverted 1718000100_updated_players.js\x1b[0m",
+    "",
+  ].join("\n");
+
+  /**
+   * Run fn with a separate loader on a temporary resource dir
+   * @param {string} configLua - Content of its config.lua
+   */
+  function withConfigFile(configLua, fn) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pb-tests-"));
+    try {
+      fs.writeFileSync(path.join(dir, "config.lua"), configLua);
+      const loader = new configLoader.constructor();
+      loader.load(dir);
+      fn(loader, dir);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+
+  // ============================================================================
+  // Permissions (utils/client.js)
+  // ============================================================================
+
+  /**
+   * Run fn with Config.Permissions replaced, restoring it afterwards
+   */
+  async function withPermissions(permissions, fn) {
+    const config = configLoader.get();
+    const saved = config.Permissions;
+    config.Permissions = permissions;
+    try {
+      await fn();
+    } finally {
+      config.Permissions = saved;
+    }
+  }
+
+  // Wait for PocketBase to be ready - the expand check reads the collections
+  global.pbInternalOnReady(() => {
+    runTests().catch((err) =>
+      console.log(`^1[Internal Test Failed]^7 ${err.message}`),
+    );
+  });
+
+  async function runTests() {
+    // ========================================================================
+    // Migrations
+    // ========================================================================
+
+    await testCase("parseMigrationNames() migrate up", () => {
+      assertEqual(
+        parseMigrationNames(MIGRATE_UP_OUTPUT, "Applied"),
+        ["1718000000_created_players.js", "1718000100_updated_players.js"],
+        "applied",
+      );
+    });
+
+    await testCase("parseMigrationNames() migrate down", () => {
+      assertEqual(
+        parseMigrationNames(MIGRATE_DOWN_OUTPUT, "Reverted"),
+        ["1718000100_updated_players.js"],
+        "reverted",
+      );
+    });
+
+    await testCase("parseMigrationNames() nothing to do", () => {
+      assertEqual(
+        parseMigrationNames("No new migrations to apply.\n", "Applied"),
+        [],
+        "applied",
+      );
+      assertEqual(
+        parseMigrationNames("The command has been cancelled\n", "Reverted"),
+        [],
+        "reverted",
+      );
+    });
+
+    // ========================================================================
+    // Config Files
+    // ========================================================================
+
+    await testCase("writeValues() round-trips control characters", () => {
+      // \x01 followed by a digit needs the zero-padded \001 escape
+      const value = 'a\x012\x1f9\x7f"\\\n\t\x00b';
+      withConfigFile(
+        'Config = {}\nConfig.Advanced = {\n    PublicDir = "pb_public",\n}\n',
+        (loader) => {
+          loader.writeValues({ Advanced: { PublicDir: value } });
+          const { config, errors } = loader.read();
+          assertEqual(errors, [], "errors");
+          assertEqual(config.Advanced.PublicDir, value, "PublicDir");
+        },
+      );
+    });
+
+    await testCase("read() override precedence", () => {
+      const savedConvar = GetConvar("pb_queue_timeout", "");
+      const savedEnv = process.env.PB_QUEUE_TIMEOUT;
+      try {
+        SetConvar("pb_queue_timeout", "");
+        delete process.env.PB_QUEUE_TIMEOUT;
+        withConfigFile(
+          "Config = {}\nConfig.Queue = {\n    Timeout = 1000,\n}\n",
+          (loader) => {
+            let state = loader.read();
+            assertEqual(state.config.Queue.Timeout, 1000, "config.lua");
+            assertEqual(
+              state.sources["Config.Queue.Timeout"],
+              { file: "config.lua" },
+              "config.lua source",
+            );
+
+            SetConvar("pb_queue_timeout", "2000");
+            state = loader.read();
+            assertEqual(state.config.Queue.Timeout, 2000, "convar");
+            assertEqual(
+              state.sources["Config.Queue.Timeout"],
+              { override: "convar pb_queue_timeout" },
+              "convar source",
+            );
+
+            // The environment variable wins over the convar
+            process.env.PB_QUEUE_TIMEOUT = "3000";
+            state = loader.read();
+            assertEqual(state.config.Queue.Timeout, 3000, "environment");
+            assertEqual(
+              state.sources["Config.Queue.Timeout"],
+              { override: "environment variable PB_QUEUE_TIMEOUT" },
+              "environment source",
+            );
+          },
+        );
+      } finally {
+        SetConvar("pb_queue_timeout", savedConvar);
+        if (savedEnv === undefined) {
+          delete process.env.PB_QUEUE_TIMEOUT;
+        } else {
+          process.env.PB_QUEUE_TIMEOUT = savedEnv;
+        }
+      }
+    });
+
+    // ========================================================================
+    // Permissions
+    // ========================================================================
+
+    const checkPermission = global.pbInternalCheckPermission;
+    const checkExpandPermission = global.pbInternalCheckExpandPermission;
+    const requires = global.pbInternalRequires;
+    const POLICY = {
+      Default: "none",
+      Resources: {
+        test_reader: { demo_players: "read" },
+        test_writer: { "*": "write" },
+        test_admin: { "*": "admin" },
+      },
+    };
+
+    await testCase("checkPermission() denies", () =>
+      withPermissions(POLICY, async () => {
+        await assertFails(
+          () =>
+            checkPermission("test_reader", requires("write"), ["demo_players"]),
+          "PERMISSION_DENIED",
+          "write with read access",
+        );
+        await assertFails(
+          () => checkPermission("test_reader", requires("read"), ["other"]),
+          "PERMISSION_DENIED",
+          "collection not listed",
+        );
+        await assertFails(
+          () =>
+            checkPermission("test_unlisted", requires("read"), [
+              "demo_players",
+            ]),
+          "PERMISSION_DENIED",
+          "Default none",
+        );
+      }),
+    );
+
+    await testCase("checkPermission() allows", () =>
+      withPermissions(POLICY, async () => {
+        checkPermission("test_reader", requires("read"), ["demo_players"]);
+        checkPermission("test_writer", requires("write"), ["any"]);
+        checkPermission("test_writer", requires("read"), ["any"]);
+        // pb itself always acts as superuser
+        checkPermission(GetCurrentResourceName(), requires("admin"), ["any"]);
+      }),
+    );
+
+    await testCase("checkPermission() admin-only exports", () =>
+      withPermissions(POLICY, async () => {
+        // Backups, truncateCollection, importCollections
+        const admin = requires("admin", () => "*");
+        await assertFails(
+          () => checkPermission("test_writer", admin, []),
+          "PERMISSION_DENIED",
+          "admin with write access",
+        );
+        checkPermission("test_admin", admin, []);
+      }),
+    );
+
+    await testCase("checkExpandPermission() checks expand targets", () =>
+      withPermissions(POLICY, async () => {
+        // A back-relation into _superusers needs read access to it
+        const args = ["_superusers", "id", { expand: "_superusers_via_x" }];
+        await assertFails(
+          () => checkExpandPermission("test_reader", requires("read"), args),
+          "PERMISSION_DENIED",
+          "expand into an unreadable collection",
+        );
+        await checkExpandPermission("test_writer", requires("read"), args);
+      }),
+    );
+
+    displayTestResults();
+  }
+})();
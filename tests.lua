@@ -162,6 +162,32 @@ function RunComprehensiveTests()
         end)
     end
 
+    -- Test: planSchema (dry run - an extra field is planned but not added)
+    testExport("planSchema()", function()
+        local plan = exports['pb']:planSchema({
+            collections = {
+                {
+                    name = DEMO_COLLECTION,
+                    fields = {
+                        { name = "name", type = "text" },
+                        { name = "identifier", type = "text" },
+                        { name = "playtime", type = "number" },
+                        { name = "level", type = "number" },
+                        { name = "active", type = "bool" },
+                        { name = "notes", type = "text" }
+                    }
+                }
+            }
+        })
+        if plan.applied then
+            error("planSchema() should never apply changes")
+        end
+        if #plan.changes == 0 then
+            error("planSchema() didn't plan the missing notes field")
+        end
+        return plan
+    end)
+
     -- ========================================================================
     -- Record CRUD Operations
     -- ========================================================================
@@ -295,6 +321,120 @@ function RunComprehensiveTests()
         end)
     end
 
+    -- Test: runQuery (the spec lib/query.lua builds)
+    if createdRecordId then
+        testExport("runQuery()", function()
+            local spec = {
+                groups = { { { field = "id", op = "=", value = createdRecordId } } },
+                fields = { "id", "level" }
+            }
+            local record = exports['pb']:runQuery(DEMO_COLLECTION, spec, "first")
+            if not record or record.id ~= createdRecordId then
+                error("runQuery() first didn't return the created record")
+            end
+            if exports['pb']:runQuery(DEMO_COLLECTION, spec, "count") ~= 1 then
+                error("runQuery() count should be 1")
+            end
+            return record
+        end)
+    end
+
+    -- Test: count / exists
+    testExport("count()", function()
+        local total = exports['pb']:count(DEMO_COLLECTION, "level >= {:level}", { level = 1 })
+        if type(total) ~= "number" or total < 1 then
+            error("count() should count the created record")
+        end
+        if not exports['pb']:exists(DEMO_COLLECTION, "level >= 1") then
+            error("exists() should find the created record")
+        end
+        return total
+    end)
+
+    -- Test: eachBatch pages through every matching record once, in order
+    local eachPrefix = "each_" .. os.time() .. "_"
+    local eachIds = {}
+    for i = 1, 5 do
+        local ok, record = pcall(function()
+            return exports['pb']:create(DEMO_COLLECTION, {
+                name = "Each Player " .. i,
+                identifier = eachPrefix .. i,
+                level = i
+            })
+        end)
+        if ok and record then
+            table.insert(eachIds, record.id)
+        end
+    end
+    local eachFilter = 'identifier ~ "' .. eachPrefix .. '"'
+
+    testExport("eachBatch()", function()
+        local seen = {}
+        local lastId = ""
+        -- demo_players has no created field
+        local result = exports['pb']:eachBatch(DEMO_COLLECTION, function(records, info)
+            if #records > 2 then
+                error("Batch larger than batchSize")
+            end
+            for _, record in ipairs(records) do
+                if seen[record.id] then
+                    error("Record " .. record.id .. " returned twice")
+                end
+                if record.id <= lastId then
+                    error("Records not ordered by id")
+                end
+                seen[record.id] = true
+                lastId = record.id
+            end
+        end, { batchSize = 2, orderBy = "id", filter = eachFilter })
+        if result.processed ~= 5 or result.batches ~= 3 or result.aborted then
+            error("Expected 5 records in 3 batches, got " .. json.encode(result))
+        end
+        return result
+    end)
+
+    -- Test: eachBatch stops when the callback returns false
+    testExport("eachBatch() early stop", function()
+        local calls = 0
+        local result = exports['pb']:eachBatch(DEMO_COLLECTION, function()
+            calls = calls + 1
+            return false
+        end, { batchSize = 2, orderBy = "id", filter = eachFilter })
+        if calls ~= 1 or not result.aborted or result.processed ~= 2 then
+            error("Expected to stop after the first batch, got " .. json.encode(result))
+        end
+        return result
+    end)
+
+    -- Test: eachBatch rejects orders that can change during the iteration
+    testExport("eachBatch() orderBy restriction", function()
+        local ok, err = pcall(function()
+            return exports['pb']:eachBatch(DEMO_COLLECTION, function() end, { orderBy = "level" })
+        end)
+        if ok or not tostring(err):find("orderBy", 1, true) then
+            error("orderBy = \"level\" should be rejected")
+        end
+        return true
+    end)
+
+    for _, id in ipairs(eachIds) do
+        pcall(function()
+            exports['pb']:delete(DEMO_COLLECTION, id)
+        end)
+    end
+
+    -- Test: safe() returns structured errors instead of throwing
+    testExport("safe()", function()
+        local result = exports['pb']:safe("getOne", DEMO_COLLECTION, "doesnotexist123")
+        if type(result) ~= "table" or result.ok ~= false then
+            error("safe() should return ok = false for a missing record")
+        end
+        if result.error.code ~= "NOT_FOUND" or result.error.status ~= 404 then
+            error("safe() returned unexpected error code: " .. tostring(result.error.code))
+        end
+        return result
+    end)
+
     -- ========================================================================
     -- Realtime Subscriptions
     -- ========================================================================
@@ -309,6 +449,22 @@ function RunComprehensiveTests()
         return result
     end)
 
+    -- Test: getSubscriptions (this resource should own the subscription)
+    testExport("getSubscriptions()", function()
+        local subscriptions = exports['pb']:getSubscriptions()
+        for _, subscription in ipairs(subscriptions) do
+            if subscription.key == DEMO_COLLECTION .. ":*" then
+                for _, owner in ipairs(subscription.owners) do
+                    if owner == GetCurrentResourceName() then
+                        return subscriptions
+                    end
+                end
+                error("Subscription is not owned by " .. GetCurrentResourceName())
+            end
+        end
+        error("getSubscriptions() didn't include " .. DEMO_COLLECTION .. ":*")
+    end)
+
     -- Register event listener for realtime
     RegisterNetEvent('pocketbase:' .. DEMO_COLLECTION .. ':*', function(data)
         -- Realtime event received
@@ -444,7 +600,185 @@ function RunComprehensiveTests()
         return exports['pb']:batchSend(batch)
     end, true) -- Silent errors - batch API may be disabled
 
+    -- Test: batches larger than the limit are split into chunks
+    local chunkedIds = {}
+    testExport("batchSendResults() chunking", function()
+        local limit = (Config.Advanced.Batch and Config.Advanced.Batch.MaxRequests) or 50
+        local batch = exports['pb']:batch()
+        for i = 1, limit + 5 do
+            batch = exports['pb']:batchCreate(batch, DEMO_COLLECTION, {
+                name = "Chunk Player " .. i,
+                identifier = "chunk_" .. os.time() .. "_" .. i
+            })
+        end
+        local results = exports['pb']:batchSendResults(batch)
+        for _, result in ipairs(results) do
+            if result.body and result.body.id then
+                table.insert(chunkedIds, result.body.id)
+            end
+        end
+        if #results ~= limit + 5 then
+            error("Expected " .. (limit + 5) .. " results, got " .. #results)
+        end
+        for i, result in ipairs(results) do
+            if result.index ~= i or not result.ok or result.type ~= "create" then
+                error("Unexpected result " .. i .. ": " .. json.encode(result))
+            end
+        end
+        if results[1].chunk ~= 1 or results[#results].chunk ~= 2 then
+            error("Expected 2 chunks, got " .. tostring(results[#results].chunk))
+        end
+        return results
+    end, true) -- Silent errors - batch API may be disabled
+
+    -- Test: batchSend keeps returning PocketBase's { status, body }
+    if #chunkedIds > 0 then
+        testExport("batchSend() result shape", function()
+            local batch = exports['pb']:batch()
+            batch = exports['pb']:batchUpdate(batch, DEMO_COLLECTION, chunkedIds[1], { level = 3 })
+            local result = exports['pb']:batchSend(batch)[1]
+            if result.status ~= 200 or result.body.id ~= chunkedIds[1] or result.ok ~= nil then
+                error("Unexpected batchSend() result: " .. json.encode(result))
+            end
+            return result
+        end)
+    end
+
+    -- Test: a failing entry is reported, the rest of its chunk rolled back
+    testExport("batchSendResults() failing entry", function()
+        local batch = exports['pb']:batch()
+        batch = exports['pb']:batchCreate(batch, DEMO_COLLECTION, {
+            name = "Rolled Back Player",
+            identifier = "rollback_" .. os.time()
+        })
+        batch = exports['pb']:batchUpdate(batch, DEMO_COLLECTION, "doesnotexist123", { level = 1 })
+
+        local results = exports['pb']:batchSendResults(batch, { partial = true })
+        if results[1].ok or not results[1].rolledBack then
+            error("The valid entry should be rolled back: " .. json.encode(results[1]))
+        end
+        if results[2].ok or results[2].rolledBack or results[2].status ~= 404 or not results[2].error then
+            error("The failing entry should be reported: " .. json.encode(results[2]))
+        end
+
+        local sent = exports['pb']:safe("batchSend", batch)
+        if sent.ok or sent.error.code ~= "BATCH_CHUNK_FAILED" then
+            error("batchSend() should fail with BATCH_CHUNK_FAILED, got " .. json.encode(sent))
+        end
+        return results
+    end, true) -- Silent errors - batch API may be disabled
+
+    for _, id in ipairs(chunkedIds) do
+        pcall(function()
+            exports['pb']:delete(DEMO_COLLECTION, id)
+        end)
+    end
+
+    -- ========================================================================
+    -- Write Buffer
+    -- ========================================================================
+
+    -- Test: queueUpdate + flushUpdates
+    if createdRecordId then
+        testExport("queueUpdate() + flushUpdates()", function()
+            exports['pb']:queueUpdate(DEMO_COLLECTION, createdRecordId, { level = 6 })
+            exports['pb']:queueUpdate(DEMO_COLLECTION, createdRecordId, { ["playtime+"] = 30 })
+            if exports['pb']:getPendingUpdates() ~= 1 then
+                error("Patches of one record were not merged")
+            end
+            local written = exports['pb']:flushUpdates()
+            if written ~= 1 then
+                error("Expected 1 record written, got " .. tostring(written))
+            end
+            local record = exports['pb']:getOne(DEMO_COLLECTION, createdRecordId)
+            if record.level ~= 6 or record.playtime ~= 150 then
+                error("Queued patches were not applied: level " .. tostring(record.level) .. ", playtime " .. tostring(record.playtime))
+            end
+            return written
+        end, true) -- Silent errors - batch API may be disabled
+    end
 
+    -- Test: queued updates are written when a resource stops
+    if createdRecordId then
+        testExport("queued updates written on onResourceStop", function()
+            exports['pb']:queueUpdate(DEMO_COLLECTION, createdRecordId, { level = 9 })
+            -- pb flushes its buffer whenever a resource stops
+            TriggerEvent('onResourceStop', GetCurrentResourceName() .. '_stopped')
+            local deadline = GetGameTimer() + 5000
+            while exports['pb']:getPendingUpdates() > 0 and GetGameTimer() < deadline do
+                Wait(100)
+            end
+            if exports['pb']:getPendingUpdates() > 0 then
+                error("Queued update was not flushed when a resource stopped")
+            end
+            local record = exports['pb']:getOne(DEMO_COLLECTION, createdRecordId)
+            if record.level ~= 9 then
+                error("Flushed update was not written: level " .. tostring(record.level))
+            end
+            return record
+        end, true) -- Silent errors - batch API may be disabled
+    end
+
+    -- ========================================================================
+    -- Read Cache
+    -- ========================================================================
+
+    -- Test: enableCache + getOne hit
+    if createdRecordId then
+        testExport("enableCache() + cached getOne()", function()
+            exports['pb']:enableCache(DEMO_COLLECTION, 60, 100)
+            exports['pb']:getOne(DEMO_COLLECTION, createdRecordId)
+            local record = exports['pb']:getOne(DEMO_COLLECTION, createdRecordId)
+            local stats = exports['pb']:getCacheStats()[DEMO_COLLECTION]
+            if not stats or stats.hits < 1 then
+                error("Second getOne() was not served from the cache")
+            end
+            -- Changing the returned copy must not touch the cache
+            record.name = "Changed Locally"
+            local again = exports['pb']:getOne(DEMO_COLLECTION, createdRecordId)
+            if again.name == "Changed Locally" then
+                error("getOne() returned the cached record itself")
+            end
+            return stats
+        end)
+    end
+
+    -- Test: writes invalidate cached records
+    if createdRecordId then
+        testExport("cache invalidation on update()", function()
+            exports['pb']:getOne(DEMO_COLLECTION, createdRecordId)
+            exports['pb']:update(DEMO_COLLECTION, createdRecordId, { level = 7 })
+            local record = exports['pb']:getOne(DEMO_COLLECTION, createdRecordId)
+            if record.level ~= 7 then
+                error("getOne() returned a stale cached record: level " .. tostring(record.level))
+            end
+            return record
+        end)
+    end
+
+    -- Test: queued writes invalidate cached records on flush
+    if createdRecordId then
+        testExport("cache invalidation on flushUpdates()", function()
+            exports['pb']:getOne(DEMO_COLLECTION, createdRecordId)
+            exports['pb']:queueUpdate(DEMO_COLLECTION, createdRecordId, { level = 8 })
+            exports['pb']:flushUpdates()
+            local record = exports['pb']:getOne(DEMO_COLLECTION, createdRecordId)
+            if record.level ~= 8 then
+                error("getOne() returned a stale cached record: level " .. tostring(record.level))
+            end
+            return record
+        end, true) -- Silent errors - batch API may be disabled
+    end
+
+    -- Test: clearCache
+    testExport("clearCache()", function()
+        exports['pb']:clearCache(DEMO_COLLECTION)
+        local stats = exports['pb']:getCacheStats()[DEMO_COLLECTION]
+        if stats and stats.size ~= 0 then
+            error("Cache still holds " .. tostring(stats.size) .. " records")
+        end
+        return true
+    end)
 
     -- ========================================================================
     -- Realtime Service (Custom Topics)
@@ -523,6 +857,220 @@ function RunComprehensiveTests()
     --     return exports['pb']:truncateCollection(DEMO_COLLECTION)
     -- end)
 
+    -- ========================================================================
+    -- Superuser Session
+    -- ========================================================================
+    -- A new _superusers token secret rejects every issued token (admin UI
+    -- sessions too), a short token duration makes the refresh observable
+
+    local function randomSecret()
+        local chars = {}
+        for i = 1, 50 do
+            chars[i] = string.char(math.random(97, 122))
+        end
+        return table.concat(chars)
+    end
+
+    local superusers = testExport("getCollection(_superusers)", function()
+        return exports['pb']:getCollection("_superusers")
+    end)
+    local tokenDuration = superusers and superusers.authToken and superusers.authToken.duration
+
+    if tokenDuration then
+        -- Test: a rejected token is replaced by logging in again and the call retried
+        testExport("retry after 401", function()
+            exports['pb']:updateCollection("_superusers", {
+                authToken = { secret = randomSecret(), duration = 10 }
+            })
+            local collections = exports['pb']:getCollections()
+            if not exports['pb']:isClientAuthenticated() then
+                error("Not authenticated after the retry")
+            end
+            return #collections
+        end)
+
+        -- Test: the token is refreshed before it expires. A wrong password
+        -- makes sure it isn't replaced by logging in again
+        testExport("token refresh", function()
+            local savedPassword = GetConvar("pb_superuser_password", "")
+            SetConvar("pb_superuser_password", randomSecret())
+            local ok, err = pcall(function()
+                Wait(12000) -- Longer than the token lives
+                return exports['pb']:getCollections()
+            end)
+            SetConvar("pb_superuser_password", savedPassword)
+            if not ok then
+                error("Token was not refreshed: " .. tostring(err))
+            end
+            return true
+        end)
+
+        pcall(function()
+            exports['pb']:updateCollection("_superusers", { authToken = { duration = tokenDuration } })
+        end)
+    end
+
+    -- ========================================================================
+    -- Request Queueing
+    -- ========================================================================
+    -- PocketBase is restarted by flipping Config.Advanced.Dev through its
+    -- convar and "pb reload" - the queue limits are set the same way
+
+    local QUEUE_CONVARS = { "pb_advanced_dev", "pb_queue_max_size", "pb_queue_timeout" }
+    local savedConvars = {}
+    for _, name in ipairs(QUEUE_CONVARS) do
+        savedConvars[name] = GetConvar(name, "")
+    end
+
+    local devOn = Config.Advanced.Dev
+    local devOverride = savedConvars["pb_advanced_dev"]:lower()
+    if devOverride ~= "" then
+        devOn = devOverride == "true" or devOverride == "1" or devOverride == "yes" or devOverride == "on"
+    end
+
+    local function reloadWith(convars)
+        for name, value in pairs(convars) do
+            SetConvar(name, value)
+        end
+        ExecuteCommand("pb reload")
+    end
+
+    local function waitFor(condition, timeoutMs)
+        local deadline = GetGameTimer() + timeoutMs
+        while not condition() and GetGameTimer() < deadline do
+            Wait(50)
+        end
+        return condition()
+    end
+
+    local function isRestarting()
+        return not exports['pb']:isReady()
+    end
+
+    -- Test: calls made while PocketBase restarts wait for it, QUEUE_FULL beyond MaxSize
+    testExport("queue while PocketBase restarts", function()
+        reloadWith({
+            pb_advanced_dev = tostring(not devOn),
+            pb_queue_max_size = "1",
+            pb_queue_timeout = "60000"
+        })
+        if not waitFor(isRestarting, 10000) then
+            error("PocketBase did not restart")
+        end
+
+        local held = nil
+        Citizen.CreateThread(function()
+            local ok, result = pcall(function()
+                return exports['pb']:count(DEMO_COLLECTION)
+            end)
+            held = { ok = ok, result = result }
+        end)
+        Wait(100) -- The call above is queued by now
+
+        local full = exports['pb']:safe("count", DEMO_COLLECTION)
+        if full.ok or full.error.code ~= "QUEUE_FULL" then
+            error("Expected QUEUE_FULL, got " .. json.encode(full))
+        end
+
+        if not waitFor(function() return held ~= nil end, 30000) then
+            error("Queued call never returned")
+        end
+        if not held.ok then
+            error("Queued call failed: " .. tostring(held.result))
+        end
+        return held.result
+    end)
+    waitFor(function() return exports['pb']:isReady() end, 30000)
+
+    -- Test: QUEUE_TIMEOUT once a call waited longer than Timeout
+    testExport("queue timeout while PocketBase restarts", function()
+        reloadWith({
+            pb_advanced_dev = tostring(devOn),
+            pb_queue_max_size = savedConvars["pb_queue_max_size"],
+            pb_queue_timeout = "100"
+        })
+        if not waitFor(isRestarting, 10000) then
+            error("PocketBase did not restart")
+        end
+
+        local timedOut = exports['pb']:safe("count", DEMO_COLLECTION)
+        if timedOut.ok or timedOut.error.code ~= "QUEUE_TIMEOUT" then
+            error("Expected QUEUE_TIMEOUT, got " .. json.encode(timedOut))
+        end
+        return true
+    end)
+    waitFor(function() return exports['pb']:isReady() end, 30000)
+
+    -- Back to the server's own settings (Dev is unchanged by now - no restart)
+    reloadWith(savedConvars)
+
+    -- ========================================================================
+    -- Backups
+    -- ========================================================================
+
+    local backupKey = "pb_tests_" .. os.time() .. ".zip"
+
+    -- Test: createBackup + listBackups
+    local backupCreated = testExport("createBackup() + listBackups()", function()
+        exports['pb']:createBackup(backupKey)
+        for _, backup in ipairs(exports['pb']:listBackups()) do
+            if backup.key == backupKey then
+                return true
+            end
+        end
+        error("listBackups() didn't include " .. backupKey)
+    end)
+
+    -- Test: downloadBackup
+    if backupCreated then
+        testExport("downloadBackup()", function()
+            local url = exports['pb']:downloadBackup(backupKey)
+            if type(url) ~= "string" or not url:find(backupKey, 1, true) then
+                error("downloadBackup() returned no URL for " .. backupKey)
+            end
+            return url
+        end)
+    end
+
+    -- Test: restoreBackup holds calls made meanwhile and runs them afterwards
+    if backupCreated then
+        testExport("restoreBackup() holds other calls", function()
+            local held = nil
+            Citizen.CreateThread(function()
+                Wait(200) -- The restore is running by now
+                local ok, result = pcall(function()
+                    return exports['pb']:count(DEMO_COLLECTION)
+                end)
+                held = { ok = ok, result = result }
+            end)
+            exports['pb']:restoreBackup(backupKey)
+            local deadline = GetGameTimer() + 10000
+            while not held and GetGameTimer() < deadline do
+                Wait(100)
+            end
+            if not held then
+                error("Call made during the restore never returned")
+            end
+            if not held.ok then
+                error("Call made during the restore failed: " .. tostring(held.result))
+            end
+            return held.result
+        end)
+    end
+
+    -- Test: deleteBackup
+    if backupCreated then
+        testExport("deleteBackup()", function()
+            exports['pb']:deleteBackup(backupKey)
+            for _, backup in ipairs(exports['pb']:listBackups()) do
+                if backup.key == backupKey then
+                    error("Backup still listed after deleteBackup()")
+                end
+            end
+            return true
+        end)
+    end
+
     -- ========================================================================
     -- Cleanup
     -- ========================================================================
@@ -0,0 +1,390 @@
+/**
+ * PocketBase FiveM Client Broker
+ * Runs a whitelisted subset of operations for game clients (client scripts
+ * and NUI) as the player's own auth record, so collection API rules apply.
+ */
+(function () {
+  const configLoader = require("./utils/config-loader.js");
+
+  // ============================================================================
+  // Logger
+  // ============================================================================
+  const brokerLogger = {
+    info: (msg) =>
+      configLoader.shouldLog("info") &&
+      console.log(`^2[PocketBase Broker]^7 ${msg}`),
+    warn: (msg) =>
+      configLoader.shouldLog("warn") &&
+      console.log(`^3[PocketBase Broker]^7 ${msg}`),
+    error: (msg) => console.log(`^1[PocketBase Broker]^7 ${msg}`),
+  };
+
+  // ============================================================================
+  // Configuration
+  // ============================================================================
+  const resourceName = GetCurrentResourceName();
+  const resourcePath = GetResourcePath(resourceName);
+
+  const config = configLoader.load(resourcePath);
+  const clientAccess = config.ClientAccess;
+
+  // Query options clients may pass - everything else is dropped
+  const ALLOWED_OPTIONS = ["filter", "sort", "expand", "fields", "skipTotal"];
+
+  // ============================================================================
+  // Helpers
+  // ============================================================================
+
+  /**
+   * Create an error carrying an HTTP-like status for the client
+   */
+  function brokerError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  /**
+   * Keep only the query options clients are allowed to set
+   */
+  function sanitizeOptions(options) {
+    const sanitized = {};
+    if (options && typeof options === "object") {
+      for (const key of ALLOWED_OPTIONS) {
+        if (options[key] !== undefined) {
+          sanitized[key] = options[key];
+        }
+      }
+    }
+    return sanitized;
+  }
+
+  /**
+   * Check a page number sent by a client
+   */
+  function positiveInteger(value, name) {
+    if (!Number.isInteger(value) || value < 1) {
+      throw brokerError(400, `${name} must be a whole number of at least 1`);
+    }
+    return value;
+  }
+
+  // ============================================================================
+  // Rate Limiting
+  // ============================================================================
+
+  // source -> { windowStart, count }
+  const rateWindows = new Map();
+
+  function checkRateLimit(source) {
+    const now = Date.now();
+    const windowMs = clientAccess.RateWindow * 1000;
+    let window = rateWindows.get(source);
+
+    if (!window || now - window.windowStart >= windowMs) {
+      window = { windowStart: now, count: 0 };
+      rateWindows.set(source, window);
+    }
+
+    window.count++;
+    if (window.count > clientAccess.RateLimit) {
+      throw brokerError(429, "Too many requests - slow down");
+    }
+  }
+
+  // ============================================================================
+  // Player Sessions
+  // ============================================================================
+
+  // source -> { client, expiresAt, subscriptions: Map<subKey, Promise<unsubscribe>> }
+  const sessions = new Map();
+
+  // source -> session being created or refreshed, so parallel requests
+  // share one token instead of each impersonating the player
+  const pendingSessions = new Map();
+
+  /**
+   * Find the auth record linked to a player
+   */
+  async function resolvePlayerRecord(source) {
+    // Prefer the record kept up to date by player linking
+    if (config.PlayerLinking.Enabled) {
+      return await global.pbInternalGetPlayerRecord(source);
+    }
+
+    const identifier = GetPlayerIdentifierByType(
+      String(source),
+      clientAccess.IdentifierType,
+    );
+    if (!identifier) {
+      return null;
+    }
+
+    return await global.pbInternalFindRecord(
+      clientAccess.AuthCollection,
+      clientAccess.IdentifierField,
+      identifier,
+    );
+  }
+
+  /**
+   * Get a PocketBase client authenticated as the player's own record
+   */
+  function getPlayerClient(source) {
+    const session = sessions.get(source);
+    if (session && session.expiresAt > Date.now()) {
+      return Promise.resolve(session.client);
+    }
+
+    if (!pendingSessions.has(source)) {
+      const pending = openSession(source).finally(() => {
+        if (pendingSessions.get(source) === pending) {
+          pendingSessions.delete(source);
+        }
+      });
+      pendingSessions.set(source, pending);
+    }
+    return pendingSessions.get(source);
+  }
+
+  /**
+   * Impersonate the player's record, reusing an expired session's client
+   */
+  async function openSession(source) {
+    const record = await resolvePlayerRecord(source);
+    if (!record) {
+      throw brokerError(403, "No PocketBase account linked to this player");
+    }
+
+    const duration = clientAccess.TokenDuration;
+    const client = await global.pbInternalImpersonate(
+      clientAccess.AuthCollection,
+      record.id,
+      duration,
+    );
+
+    // The player dropped meanwhile
+    if (!pendingSessions.has(source)) {
+      throw brokerError(410, "Player disconnected");
+    }
+
+    // Refresh 5 minutes (at most half the lifetime) before the token expires
+    const expiresAt =
+      Date.now() + (duration - Math.min(300, duration / 2)) * 1000;
+
+    const session = sessions.get(source);
+    if (session) {
+      // Keep the existing client so its realtime subscriptions survive
+      session.client.authStore.save(
+        client.authStore.token,
+        client.authStore.record,
+      );
+      session.expiresAt = expiresAt;
+      return session.client;
+    }
+
+    sessions.set(source, { client, expiresAt, subscriptions: new Map() });
+    return client;
+  }
+
+  /**
+   * Close a player's session and realtime subscriptions
+   */
+  async function closeSession(source) {
+    rateWindows.delete(source);
+    pendingSessions.delete(source);
+
+    const session = sessions.get(source);
+    if (!session) {
+      return;
+    }
+    sessions.delete(source);
+
+    try {
+      await session.client.realtime.unsubscribe();
+    } catch (err) {
+      // Silent cleanup
+    }
+  }
+
+  // ============================================================================
+  // Operations
+  // ============================================================================
+
+  const operations = {
+    getList: async (
+      source,
+      client,
+      collection,
+      page = 1,
+      perPage = 30,
+      options = {},
+    ) => {
+      const result = await client
+        .collection(collection)
+        .getList(
+          positiveInteger(page, "page"),
+          Math.min(
+            positiveInteger(perPage, "perPage"),
+            clientAccess.MaxPerPage,
+          ),
+          sanitizeOptions(options),
+        );
+      return {
+        page: result.page,
+        perPage: result.perPage,
+        totalItems: result.totalItems,
+        totalPages: result.totalPages,
+        items: result.items,
+      };
+    },
+
+    getOne: async (source, client, collection, id, options = {}) => {
+      return await client
+        .collection(collection)
+        .getOne(id, sanitizeOptions(options));
+    },
+
+    create: async (source, client, collection, data = {}, options = {}) => {
+      return await client
+        .collection(collection)
+        .create(data, sanitizeOptions(options));
+    },
+
+    update: async (source, client, collection, id, data = {}, options = {}) => {
+      return await client
+        .collection(collection)
+        .update(id, data, sanitizeOptions(options));
+    },
+
+    subscribe: async (source, client, collection, topic = "*") => {
+      const session = sessions.get(source);
+      const subKey = `${collection}:${topic}`;
+
+      // A subscribe still in progress is shared, not sent twice
+      if (!session.subscriptions.has(subKey)) {
+        const pending = client
+          .collection(collection)
+          .subscribe(topic, (data) => {
+            TriggerClientEvent(
+              "pocketbase:broker:realtime",
+              source,
+              collection,
+              topic,
+              data,
+            );
+          });
+        session.subscriptions.set(subKey, pending);
+        pending.catch(() => {
+          if (session.subscriptions.get(subKey) === pending) {
+            session.subscriptions.delete(subKey);
+          }
+        });
+      }
+
+      await session.subscriptions.get(subKey);
+      return true;
+    },
+
+    unsubscribe: async (source, client, collection, topic = "*") => {
+      const session = sessions.get(source);
+      const subKey = `${collection}:${topic}`;
+      const pending = session.subscriptions.get(subKey);
+      if (pending) {
+        session.subscriptions.delete(subKey);
+        // A failed subscribe has nothing to undo
+        const unsubscribe = await pending.catch(() => null);
+        if (unsubscribe) {
+          await unsubscribe();
+        }
+      }
+      return true;
+    },
+  };
+
+  /**
+   * Check whether clients may call an operation
+   */
+  function isOperationAllowed(op) {
+    if (op === "unsubscribe") {
+      return clientAccess.Operations.includes("subscribe");
+    }
+    return (
+      Object.prototype.hasOwnProperty.call(operations, op) &&
+      clientAccess.Operations.includes(op)
+    );
+  }
+
+  async function handleRequest(source, op, args) {
+    if (!clientAccess.Enabled) {
+      throw brokerError(403, "Client access is disabled on this server");
+    }
+
+    checkRateLimit(source);
+
+    if (!isOperationAllowed(op)) {
+      throw brokerError(403, `Operation "${op}" is not allowed for clients`);
+    }
+
+    args = Array.isArray(args) ? args : [];
+    const size = Buffer.byteLength(JSON.stringify(args), "utf8");
+    if (size > clientAccess.MaxRequestSize) {
+      throw brokerError(
+        413,
+        `Request too large (${size} bytes, max ${clientAccess.MaxRequestSize})`,
+      );
+    }
+
+    if (typeof args[0] !== "string" || args[0] === "") {
+      throw brokerError(400, "Collection name is required");
+    }
+
+    const client = await getPlayerClient(source);
+    return await operations[op](source, client, ...args);
+  }
+
+  // ============================================================================
+  // Net Events
+  // ============================================================================
+
+  onNet("pocketbase:broker:request", async (requestId, op, args) => {
+    // Must be read before the first await
+    const playerSource = source;
+
+    try {
+      const result = await handleRequest(playerSource, op, args);
+      TriggerClientEvent(
+        "pocketbase:broker:response",
+        playerSource,
+        requestId,
+        true,
+        result,
+      );
+    } catch (error) {
+      if (error.status === 429 || error.status === 413) {
+        brokerLogger.warn(
+          `Rejected ${op} from player ${playerSource}: ${error.message}`,
+        );
+      }
+      TriggerClientEvent(
+        "pocketbase:broker:response",
+        playerSource,
+        requestId,
+        false,
+        { status: error.status || 0, message: error.message },
+      );
+    }
+  });
+
+  on("playerDropped", () => {
+    closeSession(source);
+  });
+
+  on("onResourceStop", (resource) => {
+    if (resource === resourceName) {
+      for (const playerSource of [...sessions.keys()]) {
+        closeSession(playerSource);
+      }
+    }
+  });
+})();
@@ -2,6 +2,7 @@
  * PocketBase FiveM Client
  */
 (function () {
+  const crypto = require("crypto");
   const PocketBase = require("./bin/pocketbase.cjs.js");
   const configLoader = require("./utils/config-loader.js");
   const { retryWithBackoff } = require("./utils/process-utils.js");
@@ -17,10 +18,16 @@
   // Logger
   // ============================================================================
   const clientLogger = {
-    info: (msg) => console.log(`^2[PocketBase Client]^7 ${msg}`),
-    warn: (msg) => console.log(`^3[PocketBase Client]^7 ${msg}`),
+    info: (msg) =>
+      configLoader.shouldLog("info") &&
+      console.log(`^2[PocketBase Client]^7 ${msg}`),
+    warn: (msg) =>
+      configLoader.shouldLog("warn") &&
+      console.log(`^3[PocketBase Client]^7 ${msg}`),
     error: (msg) => console.log(`^1[PocketBase Client]^7 ${msg}`),
-    debug: (msg) => console.log(`^5[PocketBase Client]^7 ${msg}`),
+    debug: (msg) =>
+      configLoader.shouldLog("debug") &&
+      console.log(`^5[PocketBase Client]^7 ${msg}`),
     silent: () => {}, // No-op for silent operations
   };
 
@@ -34,7 +41,23 @@
   const config = configLoader.load(resourcePath);
 
   // Determine PocketBase URL - always connect to localhost since we're on same machine
-  const pbUrl = `http://127.0.0.1:${config.Port}`;
+  let pbUrl = `http://127.0.0.1:${config.Port}`;
+
+  // ============================================================================
+  // Export Registry
+  // ============================================================================
+
+  // Export implementations by name, so safe() can call any export
+  const exportRegistry = new Map();
+  const registerExport = global.exports;
+
+  /**
+   * Register an export (shadows the FiveM global inside this file)
+   */
+  const exports = (name, fn) => {
+    exportRegistry.set(name, fn);
+    registerExport(name, fn);
+  };
 
   // ============================================================================
   // PocketBase Client Instance
@@ -44,21 +67,142 @@
   // Wait for PocketBase to be ready and authenticate
   let isReady = false;
   let isAuthenticated = false;
+  let isAuthenticating = false;
   const readyCallbacks = [];
 
+  // Set while a backup restore restarts PocketBase
+  let isPaused = false;
+  let restoreWaiter = null;
+
+  // Set once the first handshake completed - later ones are reconnections
+  let hasConnectedBefore = false;
+
+  // ============================================================================
+  // Pending Call Queue
+  // ============================================================================
+  // Export calls made while PocketBase is starting, restarting, restoring a
+  // backup or re-authenticating are held here (see Config.Queue)
+  const pendingCalls = [];
+
+  const isAvailable = () => isReady && !isPaused && !isAuthenticating;
+
+  const queueError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  };
+
+  /**
+   * Fail a held call after Queue.Timeout
+   * @param {Object} call - Entry of pendingCalls
+   */
+  function startCallTimeout(call) {
+    call.timeout = setTimeout(() => {
+      const index = pendingCalls.indexOf(call);
+      if (index !== -1) {
+        pendingCalls.splice(index, 1);
+      }
+      call.reject(
+        queueError(
+          "QUEUE_TIMEOUT",
+          `PocketBase did not become ready within ${config.Queue.Timeout}ms`,
+        ),
+      );
+    }, config.Queue.Timeout);
+  }
+
+  /**
+   * Hold a call until the client is available again. During a restore calls
+   * are held without MaxSize or Timeout - the restore has its own time limit
+   * and the timeout starts once it is over (see resumeCalls).
+   * @returns {Promise<void>} Resolves when the call may run
+   */
+  function holdCall() {
+    return new Promise((resolve, reject) => {
+      if (!isPaused && pendingCalls.length >= config.Queue.MaxSize) {
+        reject(
+          queueError(
+            "QUEUE_FULL",
+            `PocketBase is not ready and ${config.Queue.MaxSize} calls are already waiting`,
+          ),
+        );
+        return;
+      }
+
+      const call = { resolve, reject, timeout: null };
+      if (!isPaused) {
+        startCallTimeout(call);
+      }
+      pendingCalls.push(call);
+    });
+  }
+
+  /**
+   * Run all held calls once the client is available
+   */
+  function releaseCalls() {
+    if (!isAvailable()) {
+      return;
+    }
+
+    for (const call of pendingCalls.splice(0)) {
+      clearTimeout(call.timeout);
+      call.resolve();
+    }
+  }
+
   const notifyReady = () => {
     isReady = true;
     // Call all pending callbacks
     readyCallbacks.forEach((callback) => callback());
     readyCallbacks.length = 0;
+    releaseCalls();
+  };
+
+  const pauseCalls = () => {
+    isPaused = true;
+  };
+
+  const resumeCalls = () => {
+    isPaused = false;
+    releaseCalls();
+
+    // Still not available (PocketBase did not come back): calls held during
+    // the restore now wait like any other queued call
+    for (const call of [...pendingCalls]) {
+      if (call.timeout) {
+        continue;
+      }
+      if (config.Queue.Enabled) {
+        startCallTimeout(call);
+      } else {
+        pendingCalls.splice(pendingCalls.indexOf(call), 1);
+        call.reject(
+          queueError(
+            "NOT_READY",
+            "PocketBase client not ready yet - wait for isReady() to return true",
+          ),
+        );
+      }
+    }
   };
 
   const tryAuthenticate = async () => {
+    isAuthenticated = false;
+    clearTimeout(refreshTimer);
+    refreshTimer = null;
+
+    // Pick up credentials changed in config.lua (or the secrets file) since startup
+    if (configLoader.reloadSuperuserCredentials()) {
+      clientLogger.info("Superuser credentials changed in the config");
+    }
+
     if (!config.Superuser.Email || !config.Superuser.Password) {
       notifyReady();
       return;
     }
 
+    isAuthenticating = true;
     try {
       await retryWithBackoff(
         async () => {
@@ -75,42 +219,348 @@
       );
 
       isAuthenticated = true;
-      notifyReady();
+      scheduleTokenRefresh();
     } catch (authErr) {
       clientLogger.error(`Authentication failed: ${authErr.message}`);
-      notifyReady();
+    } finally {
+      isAuthenticating = false;
     }
+
+    notifyReady();
   };
 
+  // ============================================================================
+  // Superuser Session
+  // ============================================================================
+
+  // Refresh the token this long before it expires
+  const TOKEN_REFRESH_MARGIN = 5 * 60 * 1000;
+
+  let refreshTimer = null;
+  let reauthPromise = null;
+
+  /**
+   * Read the expiry (ms) from a JWT without verifying it
+   */
+  function getTokenExpiry(token) {
+    try {
+      const payload = JSON.parse(
+        Buffer.from(token.split(".")[1], "base64url").toString("utf8"),
+      );
+      return payload.exp ? payload.exp * 1000 : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Schedule a refresh of the superuser token before it expires
+   */
+  function scheduleTokenRefresh() {
+    clearTimeout(refreshTimer);
+    refreshTimer = null;
+
+    const expiresAt = getTokenExpiry(pb.authStore.token);
+    if (!expiresAt) {
+      return;
+    }
+
+    // Short-lived tokens are refreshed halfway through their lifetime
+    const lifetime = expiresAt - Date.now();
+    const delay = lifetime - Math.min(TOKEN_REFRESH_MARGIN, lifetime / 2);
+
+    // setTimeout overflows past ~24.8 days
+    refreshTimer = setTimeout(
+      refreshToken,
+      Math.min(Math.max(delay, 1000), 2147483647),
+    );
+  }
+
+  async function refreshToken() {
+    refreshTimer = null;
+
+    // A restart re-authenticates during the handshake
+    if (!isReady) {
+      return;
+    }
+
+    // The auth store may hold a user token after a user auth export
+    if (!pb.authStore.isSuperuser) {
+      await reauthenticate();
+      return;
+    }
+
+    try {
+      await pb.collection("_superusers").authRefresh();
+      scheduleTokenRefresh();
+    } catch (err) {
+      clientLogger.warn(
+        `Token refresh failed (${err.message}) - logging in again`,
+      );
+      await reauthenticate();
+    }
+  }
+
+  /**
+   * Log in again with the credentials in config.lua
+   * Concurrent callers share one attempt; calls made meanwhile are queued
+   * @returns {Promise<boolean>} Whether authentication succeeded
+   */
+  function reauthenticate() {
+    if (!reauthPromise) {
+      reauthPromise = tryAuthenticate()
+        .then(() => isAuthenticated)
+        .finally(() => {
+          reauthPromise = null;
+        });
+    }
+    return reauthPromise;
+  }
+
   // Event-driven startup: Listen for server ready event
+  // Also fired again after a watchdog restart or a backup restore
   on("pocketbase:server:ready", async (data) => {
+    // Config.Port may have changed with a config reload
+    pbUrl = `http://127.0.0.1:${config.Port}`;
+    pb.baseURL = pbUrl;
+    // A restored backup or new data dir has its own batch settings
+    batchLimit = null;
+
     await tryAuthenticate();
 
+    if (hasConnectedBefore) {
+      await restoreSubscriptions();
+    }
+    hasConnectedBefore = true;
+
+    if (restoreWaiter) {
+      restoreWaiter();
+      restoreWaiter = null;
+    }
+
     // Emit client status back to server
     emit("pocketbase:client:ready", {
       authenticated: isAuthenticated,
     });
   });
 
+  // PocketBase exited - hold exports until the watchdog restart completes
+  on("pocketbase:server:stopped", (data) => {
+    isReady = false;
+    isAuthenticated = false;
+    clearTimeout(refreshTimer);
+    refreshTimer = null;
+    clearCaches();
+
+    if (data && data.restarting) {
+      clientLogger.warn("PocketBase stopped - waiting for restart");
+    }
+  });
+
   // ============================================================================
   // Helper Functions
   // ============================================================================
 
+  /**
+   * Mark an export implementation that needs the invoking resource
+   * wrapAsync passes it as the first argument: withCaller(async (caller, ...args) => ...)
+   */
+  function withCaller(fn) {
+    fn.takesCaller = true;
+    return fn;
+  }
+
+  // ============================================================================
+  // Permissions
+  // ============================================================================
+
+  // Access levels from Config.Permissions - each level includes the ones below
+  const ACCESS_LEVELS = { none: 0, read: 1, write: 2, admin: 3 };
+
+  // Collection placeholder for operations that span every collection
+  const ALL_COLLECTIONS = () => "*";
+
+  /**
+   * Describe the access an export needs
+   * @param {string} access - "read", "write" or "admin"
+   * @param {function} collectionOf - Maps export args to the collection name(s)
+   */
+  function requires(access, collectionOf = (args) => args[0]) {
+    return { access, collectionOf };
+  }
+
+  /**
+   * Get the access level a resource has on a collection
+   */
+  function getGrantedAccess(resource, collection) {
+    const policy = config.Permissions.Resources[resource];
+    if (!policy) {
+      return config.Permissions.Default;
+    }
+    // Collection-wide operations are only covered by the "*" entry
+    if (collection !== "*" && policy[collection]) {
+      return policy[collection];
+    }
+    return policy["*"] || "none";
+  }
+
+  /**
+   * Reject the call if the invoking resource lacks the required access
+   */
+  function checkPermission(resource, permission, args) {
+    // pb itself (server.js internals) always acts as superuser
+    if (!permission || resource === resourceName) {
+      return;
+    }
+
+    const collections = [].concat(permission.collectionOf(args));
+    for (const collection of collections) {
+      const granted = getGrantedAccess(resource, collection);
+      if ((ACCESS_LEVELS[granted] || 0) >= ACCESS_LEVELS[permission.access]) {
+        continue;
+      }
+
+      clientLogger.warn(
+        `[Audit] Denied ${resource}: ${permission.access} access to "${collection}" (has ${granted})`,
+      );
+      const error = new Error(
+        `Permission denied: resource "${resource}" needs ${permission.access} access to collection "${collection}" - see Config.Permissions`,
+      );
+      error.status = 403;
+      error.code = "PERMISSION_DENIED";
+      error.isPermissionError = true;
+      throw error;
+    }
+  }
+
+  // Collections by name and id, used to resolve expand paths
+  let collectionIndex = null;
+  let collectionIndexExpires = 0;
+
+  async function getCollectionIndex() {
+    if (!collectionIndex || collectionIndexExpires < Date.now()) {
+      const collections = await pb.collections.getFullList({
+        fields: "id,name,fields",
+      });
+      collectionIndex = {
+        byName: new Map(collections.map((c) => [c.name, c])),
+        byId: new Map(collections.map((c) => [c.id, c])),
+      };
+      collectionIndexExpires = Date.now() + 30000;
+    }
+    return collectionIndex;
+  }
+
+  /**
+   * Collections reached by expand paths ("author,comments_via_post.user")
+   */
+  async function getExpandTargets(collection, expand) {
+    const { byName, byId } = await getCollectionIndex();
+    const targets = new Set();
+
+    for (const path of expand) {
+      let current = byName.get(collection);
+      for (const part of path.split(".")) {
+        if (!current) break;
+
+        // Back-relation: <collection>_via_<field>
+        const backRelation = part.match(/^(\w+)_via_\w+$/);
+        let target = null;
+        if (backRelation) {
+          target = byName.get(backRelation[1]);
+        } else {
+          const field = (current.fields || []).find(
+            (f) => f.name === part && f.type === "relation",
+          );
+          target = field && byId.get(field.collectionId);
+        }
+        if (!target) {
+          // PocketBase ignores unknown expand paths
+          break;
+        }
+        targets.add(target.name);
+        current = target;
+      }
+    }
+    return [...targets];
+  }
+
+  /**
+   * Reject expand paths into collections the caller can't read
+   * Looks for an options object with an expand list among the export args
+   */
+  async function checkExpandPermission(resource, permission, args) {
+    if (!permission || resource === resourceName) {
+      return;
+    }
+    const options = args.find(
+      (arg) => arg && typeof arg === "object" && arg.expand,
+    );
+    if (!options) {
+      return;
+    }
+
+    const expand = []
+      .concat(options.expand)
+      .join(",")
+      .split(",")
+      .map((path) => path.trim())
+      .filter(Boolean);
+    const collection = [].concat(permission.collectionOf(args))[0];
+    const targets = await getExpandTargets(collection, expand);
+    checkPermission(
+      resource,
+      requires("read", () => targets),
+      args,
+    );
+  }
+
   /**
    * Wraps async exports to handle errors properly
+   * @param {function} fn - Export implementation
+   * @param {object} permission - Required access, see requires()
    */
-  function wrapAsync(fn) {
+  function wrapAsync(fn, permission = null) {
     return async (...args) => {
+      // Must be read before the first await
+      const caller = GetInvokingResource() || resourceName;
+
       try {
-        if (!isReady) {
-          throw new Error(
-            "PocketBase client not ready yet - wait for isReady() to return true",
+        checkPermission(caller, permission, args);
+
+        if (!isAvailable()) {
+          // Calls made during a restore are held even with the queue disabled
+          if (!config.Queue.Enabled && !isPaused) {
+            throw queueError(
+              "NOT_READY",
+              "PocketBase client not ready yet - wait for isReady() to return true",
+            );
+          }
+          await holdCall();
+        }
+        await checkExpandPermission(caller, permission, args);
+
+        const invoke = () =>
+          fn.takesCaller ? fn(caller, ...args) : fn(...args);
+        try {
+          return await invoke();
+        } catch (error) {
+          // Expired token or rotated password - log in again and retry once
+          if (error.status !== 401 || !config.Superuser.Email) {
+            throw error;
+          }
+          clientLogger.warn(
+            `${fn.name}: superuser session rejected - re-authenticating`,
           );
+          if (!(await reauthenticate())) {
+            throw error;
+          }
+          return await invoke();
         }
-        return await fn(...args);
       } catch (error) {
         // Don't log 404 errors - they're expected when checking if records exist
-        if (error.status !== 404) {
+        // Permission errors are already logged by the audit line
+        if (error.status !== 404 && !error.isPermissionError) {
           clientLogger.error(`${fn.name}: ${error.message}`);
         }
         throw error;
@@ -118,6 +568,60 @@
     };
   }
 
+  /**
+   * Map an error to its code in the safe() error catalog
+   */
+  function getErrorCode(error) {
+    if (error.code && typeof error.code === "string") {
+      return error.code; // NOT_READY, QUEUE_*, PERMISSION_DENIED, UNKNOWN_EXPORT
+    }
+    if (error.isAbort) {
+      return "ABORTED";
+    }
+
+    const status = error.status || 0;
+    if (status === 400) {
+      const data = error.response && error.response.data;
+      return data && Object.keys(data).length > 0
+        ? "VALIDATION_FAILED"
+        : "BAD_REQUEST";
+    }
+    if (status === 401) return "UNAUTHORIZED";
+    if (status === 403) return "FORBIDDEN";
+    if (status === 404) return "NOT_FOUND";
+    if (status === 413) return "TOO_LARGE";
+    if (status === 429) return "RATE_LIMITED";
+    if (status >= 500) return "SERVER_ERROR";
+    if (error.originalError) return "NETWORK_ERROR";
+    return "UNKNOWN";
+  }
+
+  /**
+   * Convert any thrown error into a plain object Lua can inspect
+   * @returns {{status, code, message, fields}}
+   */
+  function toSafeError(error) {
+    const response = error.response || {};
+    const fields = {};
+
+    // Field-level validation errors: { name = { code, message } }
+    if (response.data && typeof response.data === "object") {
+      for (const [field, detail] of Object.entries(response.data)) {
+        fields[field] = {
+          code: detail && detail.code,
+          message: detail && detail.message,
+        };
+      }
+    }
+
+    return {
+      status: error.status || 0,
+      code: getErrorCode(error),
+      message: response.message || error.message,
+      fields,
+    };
+  }
+
   /**
    * Register a callback to be called when client is ready
    */
@@ -136,191 +640,1232 @@
   // Other resources should NOT attempt to re-authenticate
 
   // ============================================================================
-  // Record CRUD Exports
+  // Read Cache
   // ============================================================================
+  // Opt-in per collection (Config.Cache.Collections). getOne and
+  // getFirstListItem results are kept for TTL seconds; realtime events drop
+  // the affected entries so other writers are seen immediately.
+
+  // collection -> { ttl, maxSize, entries: Map(key -> entry), loading, stats }
+  // loading holds the loads in flight, marked stale when an invalidation
+  // hits their key so an old result isn't cached for the whole TTL
+  const caches = new Map();
+
+  // Callers get their own copy - a changed result must not leak into the cache
+  const copyValue = (value) => JSON.parse(JSON.stringify(value));
 
   /**
-   * Get a list of records
+   * Start caching a collection
+   */
+  function enableCache(collection, ttlSeconds, maxSize) {
+    if (caches.has(collection)) {
+      const cache = caches.get(collection);
+      cache.ttl = ttlSeconds * 1000;
+      cache.maxSize = maxSize;
+      return;
+    }
+
+    caches.set(collection, {
+      ttl: ttlSeconds * 1000,
+      maxSize,
+      // Map keeps insertion order - the first entry is the least recently used
+      entries: new Map(),
+      loading: new Set(),
+      stats: { hits: 0, misses: 0, evictions: 0, invalidations: 0 },
+    });
+
+    onReady(() => {
+      acquireSubscription(
+        `${collection}:*`,
+        `pocketbase:${collection}:*`,
+        `${resourceName}:cache`,
+        (event) => invalidateCache(collection, event.record && event.record.id),
+        (callback) => pb.collection(collection).subscribe("*", callback),
+      ).catch((err) => {
+        clientLogger.warn(
+          `Cache for ${collection} has no realtime invalidation: ${err.message}`,
+        );
+      });
+    });
+  }
+
+  /**
+   * Return a cached result or load and cache it
+   * @param {string} recordId - Set for single-record lookups (getOne)
+   */
+  async function cached(collection, key, recordId, load) {
+    const cache = caches.get(collection);
+    if (!cache) {
+      return await load();
+    }
+
+    const entry = cache.entries.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      cache.stats.hits++;
+      // Move to the most recently used end
+      cache.entries.delete(key);
+      cache.entries.set(key, entry);
+      return copyValue(entry.value);
+    }
+
+    cache.stats.misses++;
+    const loading = { recordId, isLookup: !recordId, stale: false };
+    cache.loading.add(loading);
+    let value;
+    try {
+      value = await load();
+    } finally {
+      cache.loading.delete(loading);
+    }
+    if (loading.stale) {
+      return value;
+    }
+
+    cache.entries.delete(key);
+    cache.entries.set(key, {
+      value: copyValue(value),
+      recordId: recordId || value.id,
+      isLookup: !recordId,
+      expiresAt: Date.now() + cache.ttl,
+    });
+    while (cache.entries.size > cache.maxSize) {
+      cache.entries.delete(cache.entries.keys().next().value);
+      cache.stats.evictions++;
+    }
+    return value;
+  }
+
+  /**
+   * Drop the entries a change to a record may have made stale
+   * Filter lookups are dropped on any change since the record may now match
+   */
+  function invalidateCache(collection, recordId = null) {
+    const cache = caches.get(collection);
+    if (!cache) {
+      return;
+    }
+
+    const matches = (entry) =>
+      entry.isLookup || !recordId || entry.recordId === recordId;
+
+    for (const [key, entry] of cache.entries) {
+      if (matches(entry)) {
+        cache.entries.delete(key);
+        cache.stats.invalidations++;
+      }
+    }
+    for (const loading of cache.loading) {
+      if (matches(loading)) {
+        loading.stale = true;
+      }
+    }
+  }
+
+  function clearCaches() {
+    for (const collection of caches.keys()) {
+      invalidateCache(collection);
+    }
+  }
+
+  for (const [collection, settings] of Object.entries(
+    config.Cache.Collections,
+  )) {
+    enableCache(collection, settings.TTL, settings.MaxSize);
+  }
+
+  // Realtime events are missed while disconnected
+  const previousOnDisconnect = pb.realtime.onDisconnect;
+  pb.realtime.onDisconnect = (...args) => {
+    clearCaches();
+    if (previousOnDisconnect) {
+      previousOnDisconnect(...args);
+    }
+  };
+
+  /**
+   * Cache getOne/getFirstListItem results of a collection
    * @export
    */
   exports(
-    "getList",
-    wrapAsync(async (collection, page = 1, perPage = 30, options = {}) => {
-      const result = await pb
-        .collection(collection)
-        .getList(page, perPage, options);
-      return {
-        page: result.page,
-        perPage: result.perPage,
-        totalItems: result.totalItems,
-        totalPages: result.totalPages,
-        items: result.items,
-      };
-    }),
+    "enableCache",
+    wrapAsync(async (collection, ttlSeconds = 60, maxSize = 1000) => {
+      enableCache(collection, ttlSeconds, maxSize);
+      return true;
+    }, requires("admin")),
   );
 
   /**
-   * Get all records (paginated automatically)
+   * Drop cached results (of one collection, or all)
    * @export
    */
   exports(
-    "getFullList",
-    wrapAsync(async (collection, options = {}) => {
-      const items = await pb.collection(collection).getFullList(options);
-      return items;
-    }),
+    "clearCache",
+    wrapAsync(
+      async (collection = null) => {
+        if (collection) {
+          invalidateCache(collection);
+        } else {
+          clearCaches();
+        }
+        return true;
+      },
+      requires("write", (args) => args[0] || "*"),
+    ),
   );
 
   /**
-   * Get a single record by ID
+   * Hit/miss statistics per cached collection
    * @export
    */
   exports(
-    "getOne",
+    "getCacheStats",
+    wrapAsync(
+      async () => {
+        const stats = {};
+        for (const [collection, cache] of caches.entries()) {
+          const lookups = cache.stats.hits + cache.stats.misses;
+          stats[collection] = {
+            ...cache.stats,
+            size: cache.entries.size,
+            hitRate: lookups > 0 ? cache.stats.hits / lookups : 0,
+          };
+        }
+        return stats;
+      },
+      requires("read", ALL_COLLECTIONS),
+    ),
+  );
+
+  // ============================================================================
+  // Record CRUD Exports
+  // ============================================================================
+
+  /**
+   * Get a list of records
+   * @export
+   */
+  exports(
+    "getList",
+    wrapAsync(async (collection, page = 1, perPage = 30, options = {}) => {
+      const result = await pb
+        .collection(collection)
+        .getList(page, perPage, options);
+      return {
+        page: result.page,
+        perPage: result.perPage,
+        totalItems: result.totalItems,
+        totalPages: result.totalPages,
+        items: result.items,
+      };
+    }, requires("read")),
+  );
+
+  /**
+   * Get all records (paginated automatically)
+   * @export
+   */
+  exports(
+    "getFullList",
+    wrapAsync(async (collection, options = {}) => {
+      const items = await pb.collection(collection).getFullList(options);
+      return items;
+    }, requires("read")),
+  );
+
+  /**
+   * Get a single record by ID
+   * @export
+   */
+  exports(
+    "getOne",
     wrapAsync(async (collection, id, options = {}) => {
-      return await pb.collection(collection).getOne(id, options);
-    }),
+      return await cached(
+        collection,
+        `one:${id}:${JSON.stringify(options)}`,
+        id,
+        () => pb.collection(collection).getOne(id, options),
+      );
+    }, requires("read")),
+  );
+
+  /**
+   * Get first record matching filter
+   * @export
+   */
+  exports(
+    "getFirstListItem",
+    wrapAsync(async (collection, filter, options = {}) => {
+      return await cached(
+        collection,
+        `first:${filter}:${JSON.stringify(options)}`,
+        null,
+        () => pb.collection(collection).getFirstListItem(filter, options),
+      );
+    }, requires("read")),
+  );
+
+  /**
+   * Create a new record
+   * @export
+   */
+  exports(
+    "create",
+    wrapAsync(async (collection, data, options = {}) => {
+      const record = await pb.collection(collection).create(data, options);
+      // Don't wait for the realtime event to drop stale lookups
+      invalidateCache(collection, record.id);
+      return record;
+    }, requires("write")),
+  );
+
+  /**
+   * Update a record
+   * @export
+   */
+  exports(
+    "update",
+    wrapAsync(async (collection, id, data, options = {}) => {
+      const record = await pb.collection(collection).update(id, data, options);
+      invalidateCache(collection, id);
+      return record;
+    }, requires("write")),
+  );
+
+  /**
+   * Delete a record
+   * @export
+   */
+  exports(
+    "delete",
+    wrapAsync(async (collection, id, options = {}) => {
+      const deleted = await pb.collection(collection).delete(id, options);
+      invalidateCache(collection, id);
+      return deleted;
+    }, requires("write")),
+  );
+
+  // ============================================================================
+  // Realtime Subscriptions
+  // ============================================================================
+
+  // subKey -> { owners, unsubscribe, resubscribe }
+  // One realtime subscription per topic, shared by all owning resources
+  // (owners: resource name -> callback). resubscribe survives a restart.
+  const subscriptions = new Map();
+
+  /**
+   * Stop work an owner's callback still has scheduled (forwarder debounce)
+   */
+  function cancelCallback(callbackRef) {
+    if (callbackRef && typeof callbackRef.cancel === "function") {
+      callbackRef.cancel();
+    }
+  }
+
+  /**
+   * Add an owner to a subscription, subscribing to PocketBase if it is the
+   * first owner of the topic. Subscribing again replaces the owner's callback.
+   */
+  async function acquireSubscription(
+    subKey,
+    eventName,
+    owner,
+    callbackRef,
+    subscribeFn,
+  ) {
+    const existing = subscriptions.get(subKey);
+    if (existing) {
+      cancelCallback(existing.owners.get(owner));
+      existing.owners.set(owner, callbackRef);
+      return;
+    }
+
+    const entry = {
+      owners: new Map([[owner, callbackRef]]),
+      unsubscribe: null,
+      resubscribe: null,
+    };
+
+    const callback = (data) => {
+      // Emit to a FiveM event that the script can listen to
+      if (eventName) {
+        emit(eventName, data);
+      }
+
+      // Also call the owners' callbacks if provided
+      for (const [ownerName, ownerCallback] of entry.owners.entries()) {
+        if (ownerCallback && typeof ownerCallback === "function") {
+          try {
+            ownerCallback(data);
+          } catch (err) {
+            clientLogger.warn(
+              `Subscription callback of ${ownerName} for ${subKey} failed: ${err.message}`,
+            );
+          }
+        }
+      }
+    };
+
+    entry.resubscribe = () => subscribeFn(callback);
+    subscriptions.set(subKey, entry);
+
+    try {
+      entry.unsubscribe = await entry.resubscribe();
+    } catch (error) {
+      subscriptions.delete(subKey);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove an owner from a subscription, unsubscribing from PocketBase once
+   * no owners are left
+   * @returns {Promise<boolean>} Whether the owner held the subscription
+   */
+  async function releaseSubscription(subKey, owner) {
+    const entry = subscriptions.get(subKey);
+    const callbackRef = entry && entry.owners.get(owner);
+    if (!entry || !entry.owners.delete(owner)) {
+      return false;
+    }
+    cancelCallback(callbackRef);
+
+    if (entry.owners.size === 0) {
+      subscriptions.delete(subKey);
+      if (entry.unsubscribe) {
+        await entry.unsubscribe();
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Release every subscription held by an owner matching the key prefix
+   */
+  async function releaseSubscriptionsByPrefix(prefix, owner) {
+    for (const subKey of [...subscriptions.keys()]) {
+      if (subKey.startsWith(prefix)) {
+        await releaseSubscription(subKey, owner);
+      }
+    }
+  }
+
+  /**
+   * Describe current subscriptions and the resources owning them
+   */
+  function describeSubscriptions() {
+    return [...subscriptions.entries()].map(([subKey, entry]) => ({
+      key: subKey,
+      owners: [...entry.owners.keys()],
+    }));
+  }
+
+  /**
+   * Re-establish all realtime subscriptions after PocketBase restarted
+   */
+  async function restoreSubscriptions() {
+    for (const [subKey, entry] of subscriptions.entries()) {
+      try {
+        await entry.unsubscribe();
+      } catch (err) {
+        // Old connection is already gone
+      }
+
+      try {
+        entry.unsubscribe = await entry.resubscribe();
+      } catch (err) {
+        clientLogger.warn(
+          `Failed to restore subscription ${subKey}: ${err.message}`,
+        );
+      }
+    }
+
+    if (subscriptions.size > 0) {
+      clientLogger.info(
+        `Restored ${subscriptions.size} realtime subscriptions`,
+      );
+    }
+  }
+
+  /**
+   * Subscribe to realtime changes
+   * @export
+   */
+  exports(
+    "subscribe",
+    wrapAsync(
+      withCaller(async (caller, collection, topic, callbackRef) => {
+        await acquireSubscription(
+          `${collection}:${topic}`,
+          `pocketbase:${collection}:${topic}`,
+          caller,
+          callbackRef,
+          (callback) => pb.collection(collection).subscribe(topic, callback),
+        );
+
+        return true;
+      }),
+      requires("read"),
+    ),
+  );
+
+  /**
+   * Unsubscribe from realtime changes
+   * @export
+   */
+  exports(
+    "unsubscribe",
+    wrapAsync(
+      withCaller(async (owner, collection, topic = null) => {
+        if (topic) {
+          await releaseSubscription(`${collection}:${topic}`, owner);
+        } else {
+          // Release all of the caller's subscriptions for this collection
+          await releaseSubscriptionsByPrefix(`${collection}:`, owner);
+        }
+        return true;
+      }),
+    ),
   );
 
   /**
-   * Get first record matching filter
-   * @export
+   * Get active subscriptions and the resources that own them
+   * @export
+   */
+  exports(
+    "getSubscriptions",
+    wrapAsync(
+      async () => {
+        return describeSubscriptions();
+      },
+      requires("read", ALL_COLLECTIONS),
+    ),
+  );
+
+  // ============================================================================
+  // Realtime Forwarding to Game Clients
+  // ============================================================================
+
+  /**
+   * Keep only the projected fields of a record ("id" is always kept)
+   * Without fields only the id is sent - nothing leaves the server by accident
+   */
+  function projectRecord(record, fields) {
+    if (!record) {
+      return record;
+    }
+
+    const projected = { id: record.id };
+    for (const field of fields || []) {
+      if (record[field] !== undefined) {
+        projected[field] = record[field];
+      }
+    }
+    return projected;
+  }
+
+  /**
+   * Resolve the player sources an event should be sent to
+   * @returns {Array<string>|number} Player sources, or -1 for everyone
+   */
+  function resolveForwardTargets(target, record) {
+    if (!target || target === "all") {
+      return -1;
+    }
+
+    if (Array.isArray(target)) {
+      return target.map(String);
+    }
+
+    // { field, identifier } - players whose identifier matches record[field]
+    const values = [].concat(record ? record[target.field] : []);
+    if (values.length === 0) {
+      return [];
+    }
+
+    return getPlayers().filter((playerSource) => {
+      const value =
+        target.identifier === "record"
+          ? global.pbInternalGetLinkedRecordId(playerSource)
+          : GetPlayerIdentifierByType(playerSource, target.identifier);
+      return value && values.includes(value);
+    });
+  }
+
+  /**
+   * Create the subscription callback that forwards events to clients
+   */
+  function createForwarder(collection, topic, opts) {
+    const eventName = opts.event || `pocketbase:${collection}:${topic}`;
+    const pending = new Map(); // record id -> { data, timer } while debouncing
+
+    const send = (data) => {
+      const targets = resolveForwardTargets(opts.target, data.record);
+      const payload = {
+        action: data.action,
+        record: projectRecord(data.record, opts.fields),
+      };
+
+      if (targets === -1) {
+        TriggerClientEvent(eventName, -1, payload);
+        return;
+      }
+      for (const playerSource of targets) {
+        TriggerClientEvent(eventName, playerSource, payload);
+      }
+    };
+
+    const forward = (data) => {
+      if (!opts.debounce || opts.debounce <= 0) {
+        send(data);
+        return;
+      }
+
+      // Collapse bursts into one event per record, sent after the window
+      const recordId = data.record ? data.record.id : "";
+      const entry = pending.get(recordId);
+      if (entry) {
+        entry.data = data;
+        return;
+      }
+
+      const timer = setTimeout(() => {
+        const latest = pending.get(recordId);
+        pending.delete(recordId);
+        send(latest.data);
+      }, opts.debounce);
+      pending.set(recordId, { data, timer });
+    };
+
+    // Called when forwarding stops - drop events still being debounced
+    forward.cancel = () => {
+      for (const { timer } of pending.values()) {
+        clearTimeout(timer);
+      }
+      pending.clear();
+    };
+
+    return forward;
+  }
+
+  /**
+   * Forward realtime changes of a collection to game clients
+   * opts: {
+   *   target = "all" | { 1, 2 } | { field = "owner", identifier = "license" },
+   *   fields = { "id", "name" },   -- projection, only the id is sent without it
+   *   debounce = 250,              -- ms, collapse bursts per record
+   *   event = "my:event",          -- client event name (default pocketbase:<collection>:<topic>)
+   * }
+   * @export
+   */
+  exports(
+    "forwardToClients",
+    wrapAsync(
+      withCaller(async (caller, collection, topic = "*", opts = {}) => {
+        await acquireSubscription(
+          `forward:${collection}:${topic}`,
+          null,
+          caller,
+          createForwarder(collection, topic, opts || {}),
+          (callback) => pb.collection(collection).subscribe(topic, callback),
+        );
+
+        return true;
+      }),
+      requires("read"),
+    ),
+  );
+
+  /**
+   * Stop forwarding realtime changes to game clients
+   * @export
+   */
+  exports(
+    "stopForwarding",
+    wrapAsync(
+      withCaller(async (caller, collection, topic = "*") => {
+        await releaseSubscription(`forward:${collection}:${topic}`, caller);
+        return true;
+      }),
+    ),
+  );
+
+  // ============================================================================
+  // File Helpers
+  // ============================================================================
+
+  /**
+   * Get URL for a file
+   * @export
+   */
+  exports("getFileUrl", (record, filename, options = {}) => {
+    return pb.files.getURL(record, filename, options);
+  });
+
+  /**
+   * Get file token for protected files
+   * @export
+   */
+  exports(
+    "getFileToken",
+    wrapAsync(
+      async (options = {}) => {
+        return await pb.files.getToken(options);
+      },
+      requires("read", ALL_COLLECTIONS),
+    ),
+  );
+
+  // ============================================================================
+  // Filter Helper
+  // ============================================================================
+
+  /**
+   * Build filter string with parameter substitution
+   * @export
+   */
+  exports("filter", (rawFilter, params = {}) => {
+    return pb.filter(rawFilter, params);
+  });
+
+  // ============================================================================
+  // Counting & Aggregates
+  // ============================================================================
+
+  // Empty Lua tables may arrive as {} instead of []
+  const asList = (value) => (Array.isArray(value) ? value : []);
+
+  function queryError(message) {
+    const error = new Error(`Invalid query: ${message}`);
+    error.status = 400;
+    return error;
+  }
+
+  /**
+   * Count matching records - one row of ids is fetched for the total
+   */
+  async function countRecords(collection, filter) {
+    const result = await pb.collection(collection).getList(1, 1, {
+      filter: filter || "",
+      fields: "id",
+    });
+    return result.totalItems;
+  }
+
+  /**
+   * Check for a matching record without computing the total
+   */
+  async function recordsExist(collection, filter) {
+    const result = await pb.collection(collection).getList(1, 1, {
+      filter: filter || "",
+      fields: "id",
+      skipTotal: true,
+    });
+    return result.items.length > 0;
+  }
+
+  /**
+   * Count records matching a filter
+   * @param {string} filter - Optional, may use {:placeholders} bound from params
+   * @export
+   */
+  exports(
+    "count",
+    wrapAsync(async (collection, filter = "", params = null) => {
+      return await countRecords(
+        collection,
+        params ? pb.filter(filter, params) : filter,
+      );
+    }, requires("read")),
+  );
+
+  /**
+   * Check whether any record matches a filter
+   * @export
+   */
+  exports(
+    "exists",
+    wrapAsync(async (collection, filter = "", params = null) => {
+      return await recordsExist(
+        collection,
+        params ? pb.filter(filter, params) : filter,
+      );
+    }, requires("read")),
+  );
+
+  // Functions an aggregate definition may use, in result column order
+  const AGGREGATE_FUNCTIONS = ["sum", "avg", "min", "max"];
+
+  // Identifiers end up in the view's SQL - only plain names are allowed
+  const SQL_IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+  // Operators allowed in an aggregate's where conditions
+  const WHERE_OPERATORS = ["=", "!=", ">", ">=", "<", "<=", "~", "in"];
+
+  // View collections already created (or found), by name
+  const aggregateViews = new Map();
+
+  // View name -> last use, views unused for this long are deleted
+  const aggregateViewUse = new Map();
+  const AGGREGATE_VIEW_TTL = 60 * 60 * 1000;
+
+  /**
+   * Quote a value for the view's SQL
+   */
+  function sqlLiteral(value) {
+    if (typeof value === "number" && Number.isFinite(value)) {
+      return String(value);
+    }
+    if (typeof value === "boolean") {
+      return value ? "TRUE" : "FALSE";
+    }
+    if (typeof value === "string") {
+      return `'${value.replace(/'/g, "''")}'`;
+    }
+    throw queryError(`bad value ${JSON.stringify(value)}`);
+  }
+
+  /**
+   * SQL for one where condition: { field, op, value } or { field, op = "in", values }
+   */
+  function buildWhereCondition(condition, identifier) {
+    if (!condition || typeof condition !== "object") {
+      throw queryError("where needs a list of { field, op, value }");
+    }
+    const field = identifier(condition.field);
+    const op = condition.op || "=";
+    if (!WHERE_OPERATORS.includes(op)) {
+      throw queryError(`bad where operator "${op}"`);
+    }
+
+    if (op === "in") {
+      const values = asList(condition.values);
+      if (values.length === 0) {
+        throw queryError(`"in" needs a values list for ${field}`);
+      }
+      return `${field} IN (${values.map(sqlLiteral).join(", ")})`;
+    }
+    if (condition.value === undefined || condition.value === null) {
+      if (op !== "=" && op !== "!=") {
+        throw queryError(`${field} ${op} needs a value`);
+      }
+      return `${field} IS ${op === "=" ? "" : "NOT "}NULL`;
+    }
+    if (op === "~") {
+      // % and _ in the value match themselves, like PocketBase's ~
+      const escaped = String(condition.value).replace(/[\\%_]/g, "\\$&");
+      return `${field} LIKE ${sqlLiteral(`%${escaped}%`)} ESCAPE '\\'`;
+    }
+    return `${field} ${op} ${sqlLiteral(condition.value)}`;
+  }
+
+  /**
+   * Build the view query for an aggregate definition
+   */
+  function buildAggregateQuery(collection, definition) {
+    const identifier = (name) => {
+      if (typeof name !== "string" || !SQL_IDENTIFIER.test(name)) {
+        throw queryError(`bad identifier "${name}"`);
+      }
+      return name;
+    };
+
+    const groupBy = asList(definition.groupBy).map(identifier);
+    const columns = ["(ROW_NUMBER() OVER()) AS id", ...groupBy];
+    columns.push("COUNT(*) AS count");
+
+    for (const fn of AGGREGATE_FUNCTIONS) {
+      for (const field of asList(definition[fn]).map(identifier)) {
+        columns.push(`${fn.toUpperCase()}(${field}) AS ${fn}_${field}`);
+      }
+    }
+
+    let query = `SELECT ${columns.join(", ")} FROM ${identifier(collection)}`;
+    const where = asList(definition.where).map((condition) =>
+      buildWhereCondition(condition, identifier),
+    );
+    if (where.length > 0) {
+      query += ` WHERE ${where.join(" AND ")}`;
+    }
+    if (groupBy.length > 0) {
+      query += ` GROUP BY ${groupBy.join(", ")}`;
+    }
+    return query;
+  }
+
+  /**
+   * Get (or create) the view collection for an aggregate query
+   * Views are named after the query hash, so they survive restarts
+   * @param {function} checkCreate - Throws if the caller may not create views
    */
-  exports(
-    "getFirstListItem",
-    wrapAsync(async (collection, filter, options = {}) => {
-      return await pb.collection(collection).getFirstListItem(filter, options);
-    }),
-  );
+  function getAggregateView(viewQuery, checkCreate) {
+    const name = `pb_agg_${crypto
+      .createHash("sha1")
+      .update(viewQuery)
+      .digest("hex")
+      .slice(0, 12)}`;
+    aggregateViewUse.set(name, Date.now());
+
+    if (!aggregateViews.has(name)) {
+      const pending = (async () => {
+        try {
+          await pb.collections.getOne(name);
+        } catch (error) {
+          if (error.status !== 404) {
+            throw error;
+          }
+          checkCreate();
+          // listRule stays null - superusers only
+          await pb.collections.create({ name, type: "view", viewQuery });
+          clientLogger.info(`Created aggregate view ${name}`);
+        }
+        return name;
+      })();
 
-  /**
-   * Create a new record
-   * @export
-   */
-  exports(
-    "create",
-    wrapAsync(async (collection, data, options = {}) => {
-      return await pb.collection(collection).create(data, options);
-    }),
-  );
+      aggregateViews.set(name, pending);
+      // Try again on the next call if creating it failed
+      pending.catch(() => aggregateViews.delete(name));
+    }
+    return aggregateViews.get(name);
+  }
 
   /**
-   * Update a record
-   * @export
+   * Delete aggregate views that haven't been used for AGGREGATE_VIEW_TTL
+   * Views left from before a restart get one TTL of grace
    */
-  exports(
-    "update",
-    wrapAsync(async (collection, id, data, options = {}) => {
-      return await pb.collection(collection).update(id, data, options);
-    }),
-  );
+  async function removeUnusedAggregateViews() {
+    if (!isAvailable()) {
+      return;
+    }
+    const views = await pb.collections.getFullList({
+      filter: 'name ~ "pb_agg_%" && type = "view"',
+      fields: "name",
+    });
+
+    const now = Date.now();
+    for (const { name } of views) {
+      // "_" is a LIKE wildcard
+      if (!name.startsWith("pb_agg_")) {
+        continue;
+      }
+      if (!aggregateViewUse.has(name)) {
+        aggregateViewUse.set(name, now);
+        continue;
+      }
+      if (now - aggregateViewUse.get(name) < AGGREGATE_VIEW_TTL) {
+        continue;
+      }
+      aggregateViews.delete(name);
+      aggregateViewUse.delete(name);
+      await pb.collections.delete(name);
+      clientLogger.debug(`Removed unused aggregate view ${name}`);
+    }
+  }
+
+  setInterval(() => {
+    removeUnusedAggregateViews().catch((error) =>
+      clientLogger.warn(`Failed to remove aggregate views: ${error.message}`),
+    );
+  }, AGGREGATE_VIEW_TTL / 4);
 
   /**
-   * Delete a record
+   * Aggregate records with a cached view collection
+   * definition: { where, groupBy, sum, avg, min, max, filter, sort }
+   * where filters the source records, each row has the groupBy fields, count
+   * and <fn>_<field> columns - filter and sort apply to those result columns.
+   * Creating a new view needs admin access to the collection, and views have
+   * to be enabled with Config.Aggregates.Views
    * @export
    */
   exports(
-    "delete",
-    wrapAsync(async (collection, id, options = {}) => {
-      return await pb.collection(collection).delete(id, options);
-    }),
+    "aggregate",
+    wrapAsync(
+      withCaller(async (caller, collection, definition = {}) => {
+        if (!config.Aggregates.Views) {
+          throw new Error(
+            "aggregate creates view collections (pb_agg_<hash>) - enable it with Config.Aggregates.Views = true",
+          );
+        }
+        const view = await getAggregateView(
+          buildAggregateQuery(collection, definition),
+          () =>
+            checkPermission(
+              caller,
+              requires("admin", () => collection),
+              [],
+            ),
+        );
+        const rows = await pb.collection(view).getFullList({
+          filter: definition.filter || "",
+          sort: definition.sort || "",
+        });
+
+        return rows.map(({ id, collectionId, collectionName, ...row }) => row);
+      }),
+      requires("read"),
+    ),
   );
 
   // ============================================================================
-  // Realtime Subscriptions
+  // Query Builder
   // ============================================================================
+  // The chainable builder lives in lib/query.lua and hands a plain query
+  // spec to these exports:
+  //   { groups = { { { field, op, value } | { field, op = "in", values } } },
+  //     sort, expand, fields, page, limit }
+  // Conditions inside a group are AND-ed, groups (orWhere) are OR-ed.
+
+  const QUERY_OPERATORS = [
+    "=",
+    "!=",
+    ">",
+    ">=",
+    "<",
+    "<=",
+    "~",
+    "!~",
+    "?=",
+    "?!=",
+    "?>",
+    "?>=",
+    "?<",
+    "?<=",
+    "?~",
+    "?!~",
+  ];
+
+  // Field names, relations (a.b) and modifiers (name:lower) - never values
+  const QUERY_FIELD = /^[\w.:]+$/;
 
-  const subscriptions = new Map();
+  /**
+   * Compile one condition to a filter expression, collecting its params
+   */
+  function compileCondition(condition, params) {
+    const { field } = condition;
+    const op = condition.op || "=";
+    if (typeof field !== "string" || !QUERY_FIELD.test(field)) {
+      throw queryError(`bad field name "${field}"`);
+    }
+
+    const bind = (value) => {
+      const key = `p${Object.keys(params).length}`;
+      params[key] = value === undefined ? null : value;
+      return `{:${key}}`;
+    };
+
+    if (op === "in") {
+      const values = asList(condition.values);
+      // id is never empty - an empty IN matches nothing
+      if (values.length === 0) {
+        return 'id = ""';
+      }
+      return `(${values.map((value) => `${field} = ${bind(value)}`).join(" || ")})`;
+    }
+
+    if (!QUERY_OPERATORS.includes(op)) {
+      throw queryError(`unknown operator "${op}"`);
+    }
+    return `${field} ${op} ${bind(condition.value)}`;
+  }
 
   /**
-   * Subscribe to realtime changes
-   * @export
+   * Compile a query spec to getList/getFullList options
    */
-  exports(
-    "subscribe",
-    wrapAsync(async (collection, topic, callbackRef) => {
-      const callback = (data) => {
-        // Emit to a FiveM event that the script can listen to
-        emit(`pocketbase:${collection}:${topic}`, data);
-
-        // Also call the callback if provided
-        if (callbackRef && typeof callbackRef === "function") {
-          callbackRef(data);
-        }
-      };
+  function compileQuery(spec = {}) {
+    const params = {};
+    const groups = asList(spec.groups)
+      .map((group) =>
+        asList(group)
+          .map((condition) => compileCondition(condition, params))
+          .join(" && "),
+      )
+      .filter(Boolean);
+
+    const options = {};
+    if (groups.length === 1) {
+      options.filter = pb.filter(groups[0], params);
+    } else if (groups.length > 1) {
+      options.filter = pb.filter(
+        groups.map((group) => `(${group})`).join(" || "),
+        params,
+      );
+    }
 
-      const unsubscribe = await pb
-        .collection(collection)
-        .subscribe(topic, callback);
+    const sort = asList(spec.sort);
+    if (sort.length > 0) options.sort = sort.join(",");
+    const expand = asList(spec.expand);
+    if (expand.length > 0) options.expand = expand.join(",");
+    const fields = asList(spec.fields);
+    if (fields.length > 0) options.fields = fields.join(",");
 
-      const subKey = `${collection}:${topic}`;
-      subscriptions.set(subKey, unsubscribe);
+    return options;
+  }
 
-      return true;
-    }),
-  );
+  /**
+   * Compile a query spec to options for getList, getFullList or subscribe
+   * @export
+   */
+  exports("compileQuery", (spec) => {
+    return compileQuery(spec);
+  });
 
   /**
-   * Unsubscribe from realtime changes
+   * Run a query spec built by lib/query.lua
+   * @param {string} terminal - "all", "first", "count", "exists" or "paginate"
    * @export
    */
   exports(
-    "unsubscribe",
-    wrapAsync(async (collection, topic = null) => {
-      if (topic) {
-        const subKey = `${collection}:${topic}`;
-        const unsubscribe = subscriptions.get(subKey);
-        if (unsubscribe) {
-          await unsubscribe();
-          subscriptions.delete(subKey);
-        }
-      } else {
-        await pb.collection(collection).unsubscribe();
-        // Remove all subscriptions for this collection
-        for (const [key, unsubscribe] of subscriptions.entries()) {
-          if (key.startsWith(`${collection}:`)) {
-            subscriptions.delete(key);
+    "runQuery",
+    wrapAsync(async (collection, spec = {}, terminal = "all") => {
+      const options = compileQuery(spec);
+      const records = pb.collection(collection);
+      const page = spec.page || 1;
+      const limit = spec.limit;
+
+      switch (terminal) {
+        case "all":
+          if (spec.page || limit) {
+            const result = await records.getList(page, limit || 30, {
+              ...options,
+              skipTotal: true,
+            });
+            return result.items;
           }
+          return await records.getFullList(options);
+
+        case "first": {
+          const result = await records.getList(1, 1, {
+            ...options,
+            skipTotal: true,
+          });
+          return result.items[0] || null;
+        }
+
+        case "count":
+          return await countRecords(collection, options.filter);
+
+        case "exists":
+          return await recordsExist(collection, options.filter);
+
+        case "paginate": {
+          const result = await records.getList(page, limit || 30, options);
+          return {
+            page: result.page,
+            perPage: result.perPage,
+            totalItems: result.totalItems,
+            totalPages: result.totalPages,
+            items: result.items,
+          };
         }
+
+        default:
+          throw queryError(`unknown terminal "${terminal}"`);
       }
-      return true;
-    }),
+    }, requires("read")),
   );
 
   // ============================================================================
-  // File Helpers
+  // Cursor Iteration
   // ============================================================================
 
+  // PocketBase caps perPage at 1000
+  const MAX_BATCH_SIZE = 1000;
+
   /**
-   * Get URL for a file
-   * @export
+   * Build the keyset condition that continues after the last record
    */
-  exports("getFileUrl", (record, filename, options = {}) => {
-    return pb.files.getURL(record, filename, options);
-  });
+  function keysetFilter(orderBy, last) {
+    if (orderBy === "id") {
+      return pb.filter("id > {:id}", { id: last.id });
+    }
+    return pb.filter(
+      `(${orderBy} > {:key} || (${orderBy} = {:key} && id > {:id}))`,
+      { key: last[orderBy], id: last.id },
+    );
+  }
+
+  // Keyset orders eachBatch supports. created only grows, id never changes,
+  // so records already visited can't move past the cursor
+  const BATCH_ORDERS = ["created", "id"];
 
   /**
-   * Get file token for protected files
+   * Iterate over matching records in batches
+   * Uses keyset pagination on (orderBy, id): every record that exists when
+   * the iteration starts is returned exactly once. Records inserted meanwhile
+   * are returned at the end with orderBy = "created" (unless they share the
+   * millisecond of a batch's last record), and may or may not be returned
+   * with orderBy = "id" (ids are random). Return false from the callback to
+   * stop early.
+   * options: { batchSize = 200, orderBy = "created", filter, fields, expand }
+   * orderBy = "id" works for collections without a created field
+   * @returns {Promise<object>} { processed, batches, aborted }
    * @export
    */
   exports(
-    "getFileToken",
-    wrapAsync(async (options = {}) => {
-      return await pb.files.getToken(options);
-    }),
-  );
+    "eachBatch",
+    wrapAsync(async (collection, callback, options = {}) => {
+      if (typeof callback !== "function") {
+        throw queryError("eachBatch needs a callback");
+      }
 
-  // ============================================================================
-  // Filter Helper
-  // ============================================================================
+      const orderBy = options.orderBy || "created";
+      if (!BATCH_ORDERS.includes(orderBy)) {
+        throw queryError(
+          `orderBy must be ${BATCH_ORDERS.map((o) => `"${o}"`).join(" or ")}, got "${orderBy}"`,
+        );
+      }
+      const batchSize = Math.min(
+        Math.max(parseInt(options.batchSize) || 200, 1),
+        MAX_BATCH_SIZE,
+      );
 
-  /**
-   * Build filter string with parameter substitution
-   * @export
-   */
-  exports("filter", (rawFilter, params = {}) => {
-    return pb.filter(rawFilter, params);
-  });
+      // The keyset needs these fields even if the caller narrowed them
+      let fields = options.fields;
+      if (fields) {
+        fields = [...new Set([...fields.split(","), "id", orderBy])].join(",");
+      }
+
+      const stats = { processed: 0, batches: 0, aborted: false };
+      let last = null;
+
+      while (true) {
+        const conditions = [options.filter, last && keysetFilter(orderBy, last)]
+          .filter(Boolean)
+          .map((condition) => `(${condition})`);
+
+        const result = await pb.collection(collection).getList(1, batchSize, {
+          filter: conditions.join(" && "),
+          sort: orderBy === "id" ? "id" : `${orderBy},id`,
+          fields,
+          expand: options.expand,
+          skipTotal: true,
+        });
+
+        if (result.items.length === 0) {
+          break;
+        }
+
+        stats.batches++;
+        stats.processed += result.items.length;
+        last = result.items[result.items.length - 1];
+
+        const proceed = await callback(result.items, {
+          batch: stats.batches,
+          processed: stats.processed,
+        });
+        if (proceed === false) {
+          stats.aborted = true;
+          break;
+        }
+
+        if (result.items.length < batchSize) {
+          break;
+        }
+      }
+
+      return stats;
+    }, requires("read")),
+  );
 
   // ============================================================================
   // Collections Management
@@ -332,9 +1877,12 @@
    */
   exports(
     "getCollections",
-    wrapAsync(async (options = {}) => {
-      return await pb.collections.getFullList(options);
-    }),
+    wrapAsync(
+      async (options = {}) => {
+        return await pb.collections.getFullList(options);
+      },
+      requires("read", ALL_COLLECTIONS),
+    ),
   );
 
   /**
@@ -345,7 +1893,7 @@
     "getCollection",
     wrapAsync(async (idOrName, options = {}) => {
       return await pb.collections.getOne(idOrName, options);
-    }),
+    }, requires("read")),
   );
 
   /**
@@ -354,9 +1902,12 @@
    */
   exports(
     "createCollection",
-    wrapAsync(async (data, options = {}) => {
-      return await pb.collections.create(data, options);
-    }),
+    wrapAsync(
+      async (data, options = {}) => {
+        return await pb.collections.create(data, options);
+      },
+      requires("admin", (args) => args[0] && args[0].name),
+    ),
   );
 
   /**
@@ -367,7 +1918,7 @@
     "updateCollection",
     wrapAsync(async (idOrName, data, options = {}) => {
       return await pb.collections.update(idOrName, data, options);
-    }),
+    }, requires("admin")),
   );
 
   /**
@@ -378,7 +1929,7 @@
     "deleteCollection",
     wrapAsync(async (idOrName, options = {}) => {
       return await pb.collections.delete(idOrName, options);
-    }),
+    }, requires("admin")),
   );
 
   // ============================================================================
@@ -440,7 +1991,7 @@
     "listAuthMethods",
     wrapAsync(async (collection, options = {}) => {
       return await pb.collection(collection).listAuthMethods(options);
-    }),
+    }, requires("read")),
   );
 
   /**
@@ -457,6 +2008,7 @@
         record: result.record,
       };
     },
+    requires("write"),
   );
 
   exports("authCollectionWithPassword", authCollectionWithPassword);
@@ -476,7 +2028,7 @@
         token: result.token,
         record: result.record,
       };
-    }),
+    }, requires("write")),
   );
 
   /**
@@ -511,6 +2063,7 @@
           meta: result.meta,
         };
       },
+      requires("write"),
     ),
   );
 
@@ -524,7 +2077,7 @@
       token: result.token,
       record: result.record,
     };
-  });
+  }, requires("write"));
 
   exports("authRefreshCollection", authRefreshCollection);
   exports("authRefresh", authRefreshCollection); // Shorter alias
@@ -537,7 +2090,7 @@
     "requestOTP",
     wrapAsync(async (collection, email, options = {}) => {
       return await pb.collection(collection).requestOTP(email, options);
-    }),
+    }, requires("write")),
   );
 
   /**
@@ -550,7 +2103,7 @@
       return await pb
         .collection(collection)
         .requestPasswordReset(email, options);
-    }),
+    }, requires("write")),
   );
 
   /**
@@ -565,6 +2118,7 @@
           .collection(collection)
           .confirmPasswordReset(token, password, passwordConfirm, options);
       },
+      requires("write"),
     ),
   );
 
@@ -578,7 +2132,7 @@
       return await pb
         .collection(collection)
         .requestVerification(email, options);
-    }),
+    }, requires("write")),
   );
 
   /**
@@ -591,7 +2145,7 @@
       return await pb
         .collection(collection)
         .confirmVerification(token, options);
-    }),
+    }, requires("write")),
   );
 
   /**
@@ -604,7 +2158,7 @@
       return await pb
         .collection(collection)
         .requestEmailChange(newEmail, options);
-    }),
+    }, requires("write")),
   );
 
   /**
@@ -617,7 +2171,7 @@
       return await pb
         .collection(collection)
         .confirmEmailChange(token, password, options);
-    }),
+    }, requires("write")),
   );
 
   /**
@@ -630,7 +2184,7 @@
       return await pb
         .collection(collection)
         .listExternalAuths(recordId, options);
-    }),
+    }, requires("read")),
   );
 
   /**
@@ -643,7 +2197,7 @@
       return await pb
         .collection(collection)
         .unlinkExternalAuth(recordId, provider, options);
-    }),
+    }, requires("write")),
   );
 
   // ============================================================================
@@ -666,77 +2220,447 @@
    * Add create request to batch
    * @export
    */
-  exports("batchCreate", (batchData, collection, data, options = {}) => {
-    batchData._requests.push({ type: "create", collection, data, options });
-    return batchData;
-  });
+  exports("batchCreate", (batchData, collection, data, options = {}) => {
+    batchData._requests.push({ type: "create", collection, data, options });
+    return batchData;
+  });
+
+  /**
+   * Add update request to batch
+   * @export
+   */
+  exports("batchUpdate", (batchData, collection, id, data, options = {}) => {
+    batchData._requests.push({ type: "update", collection, id, data, options });
+    return batchData;
+  });
+
+  /**
+   * Add delete request to batch
+   * @export
+   */
+  exports("batchDelete", (batchData, collection, id, options = {}) => {
+    batchData._requests.push({ type: "delete", collection, id, options });
+    return batchData;
+  });
+
+  /**
+   * Add upsert request to batch
+   * @export
+   */
+  exports("batchUpsert", (batchData, collection, data, options = {}) => {
+    batchData._requests.push({ type: "upsert", collection, data, options });
+    return batchData;
+  });
+
+  // Fallback when the Batch API limit isn't managed or can't be read
+  const DEFAULT_BATCH_LIMIT = 50;
+  let batchLimit = null;
+
+  /**
+   * Max requests per batch (PocketBase's batch.maxRequests setting)
+   * Read once, and again after settings are updated or PocketBase restarts
+   */
+  async function getBatchLimit() {
+    if (config.Advanced.Batch.Enabled) {
+      return config.Advanced.Batch.MaxRequests;
+    }
+    if (!batchLimit) {
+      try {
+        const settings = await pb.settings.getAll();
+        batchLimit =
+          (settings.batch && settings.batch.maxRequests) || DEFAULT_BATCH_LIMIT;
+      } catch (err) {
+        return DEFAULT_BATCH_LIMIT;
+      }
+    }
+    return batchLimit;
+  }
+
+  /**
+   * Describe a batch request for its entry in the result list
+   */
+  function describeBatchRequest(req, index, chunk) {
+    return {
+      index: index + 1, // Position in the caller's (Lua) list
+      chunk,
+      type: req.type,
+      collection: req.collection,
+      id: req.id,
+    };
+  }
+
+  /**
+   * Error details of one failed batch request. PocketBase reports a generic
+   * "Batch request failed" per index - the actual error is in its response
+   * @returns {{status, message, fields}}
+   */
+  function describeBatchFailure(failure, error) {
+    const response = failure.response || {};
+    const safe = toSafeError({ status: response.status, response });
+    return {
+      status: response.status || error.status,
+      message: response.message || failure.message || error.message,
+      fields: safe.fields,
+    };
+  }
+
+  /**
+   * Send one chunk of batch requests in a single transaction
+   */
+  async function sendBatchChunk(requests) {
+    const batch = pb.createBatch();
+
+    for (const req of requests) {
+      if (req.type === "create") {
+        batch.collection(req.collection).create(req.data, req.options);
+      } else if (req.type === "update") {
+        batch.collection(req.collection).update(req.id, req.data, req.options);
+      } else if (req.type === "delete") {
+        batch.collection(req.collection).delete(req.id, req.options);
+      } else if (req.type === "upsert") {
+        batch.collection(req.collection).upsert(req.data, req.options);
+      }
+    }
+
+    try {
+      return await batch.send();
+    } catch (error) {
+      if (
+        error.message &&
+        error.message.includes("Batch requests are not allowed")
+      ) {
+        clientLogger.error(
+          "Batch API is disabled. Set Config.Advanced.Batch.Enabled or enable it in PocketBase Admin > Settings > Batch API",
+        );
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Send batch requests, split into chunks of the Batch API limit
+   * Every chunk is its own transaction. By default the first failing chunk
+   * throws BATCH_CHUNK_FAILED (earlier chunks stay committed); with
+   * options.partial the remaining chunks are still sent and failed entries
+   * are reported in the results
+   * @returns {Promise<array>} One result per request, in request order
+   */
+  async function sendBatch(requests, options = {}) {
+    const limit = await getBatchLimit();
+    const chunkCount = Math.ceil(requests.length / limit);
+    const results = [];
+
+    for (let chunk = 1; chunk <= chunkCount; chunk++) {
+      const offset = (chunk - 1) * limit;
+      const chunkRequests = requests.slice(offset, offset + limit);
+
+      try {
+        const responses = await sendBatchChunk(chunkRequests);
+        chunkRequests.forEach((req, i) => {
+          const response = responses[i] || {};
+          results.push({
+            ...describeBatchRequest(req, offset + i, chunk),
+            ok: response.status >= 200 && response.status < 300,
+            status: response.status,
+            body: response.body,
+          });
+        });
+      } catch (error) {
+        const range = `entries ${offset + 1}-${offset + chunkRequests.length}`;
+        // The failing request is reported per index, the rest was rolled back
+        const failures =
+          (error.response &&
+            error.response.data &&
+            error.response.data.requests) ||
+          {};
+        const identified = Object.keys(failures).length > 0;
+
+        if (!options.partial) {
+          const failed = Object.keys(failures)
+            .map(
+              (i) =>
+                `entry ${offset + Number(i) + 1}: ${describeBatchFailure(failures[i], error).message}`,
+            )
+            .join(", ");
+          const chunkError = new Error(
+            `Batch chunk ${chunk}/${chunkCount} (${range}) failed: ${failed || error.message}` +
+              (chunk > 1 ? ` - chunks 1-${chunk - 1} were committed` : ""),
+          );
+          chunkError.code = "BATCH_CHUNK_FAILED";
+          chunkError.status = error.status;
+          chunkError.response = error.response;
+          chunkError.chunk = chunk;
+          throw chunkError;
+        }
+
+        clientLogger.warn(
+          `Batch chunk ${chunk}/${chunkCount} (${range}) failed: ${error.message}`,
+        );
+
+        chunkRequests.forEach((req, i) => {
+          const failure = failures[i] || failures[String(i)];
+          const result = {
+            ...describeBatchRequest(req, offset + i, chunk),
+            ok: false,
+            status: error.status,
+            // Only set when another request of the chunk caused the failure
+            rolledBack: !failure && identified,
+            error: "Rolled back - the chunk failed",
+          };
+          if (failure) {
+            const detail = describeBatchFailure(failure, error);
+            result.status = detail.status;
+            result.error = detail.message;
+            result.fields = detail.fields;
+          }
+          results.push(result);
+        });
+      }
+    }
+
+    return results;
+  }
+
+  // Collections a batch writes to, for the permission check
+  const batchCollections = (args) =>
+    (args[0]._requests || []).map((req) => req.collection);
+
+  /**
+   * Execute batch requests
+   * @returns {Promise<array>} PocketBase's { status, body } per request
+   * @export
+   */
+  exports(
+    "batchSend",
+    wrapAsync(
+      async (batchData) => {
+        const results = await sendBatch(batchData._requests);
+        return results.map(({ status, body }) => ({ status, body }));
+      },
+      requires("write", batchCollections),
+    ),
+  );
+
+  /**
+   * Execute batch requests and describe the outcome of each one
+   * options: { partial } to keep sending chunks after one failed
+   * @returns {Promise<array>} { index, chunk, type, collection, id, ok,
+   *   status, body } per request, plus error/fields/rolledBack when it failed
+   * @export
+   */
+  exports(
+    "batchSendResults",
+    wrapAsync(
+      async (batchData, options = {}) => {
+        return await sendBatch(batchData._requests, options);
+      },
+      requires("write", batchCollections),
+    ),
+  );
+
+  // ============================================================================
+  // Write-Behind Buffer
+  // ============================================================================
+  // queueUpdate() merges patches per record and writes them in batches
+  // (see Config.WriteBuffer) instead of one request per change
+
+  // "collection:id" -> { collection, id, data, attempts }
+  const pendingWrites = new Map();
+  let flushPromise = null;
+
+  /**
+   * Merge a patch into pending data
+   * Numeric "field+"/"field-" modifiers add up, array modifiers append
+   */
+  function mergePatch(data, patch) {
+    for (const [key, value] of Object.entries(patch)) {
+      const current = data[key];
+      if (/[+-]$/.test(key) && current !== undefined) {
+        if (typeof current === "number" && typeof value === "number") {
+          data[key] = current + value;
+          continue;
+        }
+        if (Array.isArray(current)) {
+          data[key] = current.concat(value);
+          continue;
+        }
+      }
+      data[key] = value;
+    }
+    return data;
+  }
+
+  // Failures retrying won't fix (validation error, record deleted)
+  const PERMANENT_WRITE_FAILURES = [400, 404];
 
   /**
-   * Add update request to batch
-   * @export
+   * Put a failed write back, keeping newer patches queued meanwhile
+   * @param {boolean} countAttempt - false for writes rolled back because
+   * another write of their chunk failed
    */
-  exports("batchUpdate", (batchData, collection, id, data, options = {}) => {
-    batchData._requests.push({ type: "update", collection, id, data, options });
-    return batchData;
-  });
+  function requeueWrite(write, reason, countAttempt = true) {
+    const key = `${write.collection}:${write.id}`;
+    const attempts = write.attempts + (countAttempt ? 1 : 0);
+    if (attempts > config.WriteBuffer.MaxRetries) {
+      clientLogger.error(
+        `Dropped queued update of ${key} after ${attempts} attempts: ${reason}`,
+      );
+      return;
+    }
+
+    const newer = pendingWrites.get(key);
+    pendingWrites.set(key, {
+      ...write,
+      data: newer ? mergePatch(write.data, newer.data) : write.data,
+      attempts,
+    });
+  }
 
   /**
-   * Add delete request to batch
-   * @export
+   * Write all pending updates
+   * @returns {Promise<number>} Number of records written
    */
-  exports("batchDelete", (batchData, collection, id, options = {}) => {
-    batchData._requests.push({ type: "delete", collection, id, options });
-    return batchData;
-  });
+  function flushWrites() {
+    if (flushPromise) {
+      // Writes queued meanwhile go out with the next flush
+      return flushPromise;
+    }
+    if (pendingWrites.size === 0 || !isAvailable()) {
+      return Promise.resolve(0);
+    }
+
+    const writes = [...pendingWrites.values()];
+    pendingWrites.clear();
+
+    flushPromise = (async () => {
+      let results;
+      try {
+        results = await sendBatch(
+          writes.map((write) => ({
+            type: "update",
+            collection: write.collection,
+            id: write.id,
+            data: write.data,
+          })),
+          { partial: true },
+        );
+      } catch (error) {
+        writes.forEach((write) => requeueWrite(write, error.message));
+        return 0;
+      }
+
+      let written = 0;
+      results.forEach((result, i) => {
+        const write = writes[i];
+        const reason = result.error || `status ${result.status}`;
+        if (result.ok) {
+          invalidateCache(write.collection, write.id);
+          written++;
+        } else if (result.rolledBack) {
+          requeueWrite(write, reason, false);
+        } else if (PERMANENT_WRITE_FAILURES.includes(result.status)) {
+          clientLogger.error(
+            `Dropped queued update of ${write.collection}:${write.id}: ${reason}`,
+          );
+        } else {
+          requeueWrite(write, reason);
+        }
+      });
+      return written;
+    })().finally(() => {
+      flushPromise = null;
+    });
+
+    return flushPromise;
+  }
 
   /**
-   * Add upsert request to batch
-   * @export
+   * Flush until nothing is pending (failed writes are retried up to
+   * MaxRetries times), including a flush already running
+   * @param {boolean} wait - Hold while PocketBase is unavailable (like any
+   * export call) instead of stopping with updates still pending
+   * @returns {Promise<number>} Number of records written
    */
-  exports("batchUpsert", (batchData, collection, data, options = {}) => {
-    batchData._requests.push({ type: "upsert", collection, data, options });
-    return batchData;
-  });
+  async function drainWrites(wait = false) {
+    let written = 0;
+    while (pendingWrites.size > 0 || flushPromise) {
+      if (!isAvailable()) {
+        if (!wait) {
+          break;
+        }
+        await holdCall();
+      }
+      written += await flushWrites();
+    }
+    return written;
+  }
+
+  setInterval(() => {
+    flushWrites();
+  }, config.WriteBuffer.FlushInterval);
 
   /**
-   * Execute batch requests
+   * Queue a partial update - merged with other queued patches of the record
+   * and written with the next flush
    * @export
    */
   exports(
-    "batchSend",
-    wrapAsync(async (batchData) => {
-      const batch = pb.createBatch();
-
-      for (const req of batchData._requests) {
-        if (req.type === "create") {
-          batch.collection(req.collection).create(req.data, req.options);
-        } else if (req.type === "update") {
-          batch
-            .collection(req.collection)
-            .update(req.id, req.data, req.options);
-        } else if (req.type === "delete") {
-          batch.collection(req.collection).delete(req.id, req.options);
-        } else if (req.type === "upsert") {
-          batch.collection(req.collection).upsert(req.data, req.options);
-        }
-      }
+    "queueUpdate",
+    wrapAsync(async (collection, id, patch) => {
+      const key = `${collection}:${id}`;
+      const pending = pendingWrites.get(key);
 
-      try {
-        return await batch.send();
-      } catch (error) {
-        if (
-          error.message &&
-          error.message.includes("Batch requests are not allowed")
-        ) {
-          clientLogger.error(
-            "Batch API is disabled. Enable it in PocketBase Admin > Settings > Batch API",
+      if (pending) {
+        mergePatch(pending.data, patch);
+      } else {
+        if (pendingWrites.size >= config.WriteBuffer.MaxPending) {
+          const error = new Error(
+            `Write buffer is full (${config.WriteBuffer.MaxPending} records pending)`,
           );
+          error.code = "BUFFER_FULL";
+          throw error;
         }
-        throw error;
+        pendingWrites.set(key, {
+          collection,
+          id,
+          data: mergePatch({}, patch),
+          attempts: 0,
+        });
+      }
+
+      if (pendingWrites.size >= config.WriteBuffer.FlushSize) {
+        flushWrites();
       }
+      return true;
+    }, requires("write")),
+  );
+
+  /**
+   * Write queued updates now - resolves once every update queued before the
+   * call is written (or dropped after MaxRetries)
+   * @export
+   */
+  exports(
+    "flushUpdates",
+    wrapAsync(async () => {
+      return await drainWrites(true);
     }),
   );
 
+  /**
+   * Number of records with queued updates
+   * @export
+   */
+  exports(
+    "getPendingUpdates",
+    wrapAsync(
+      async () => {
+        return pendingWrites.size;
+      },
+      requires("read", ALL_COLLECTIONS),
+    ),
+  );
+
   // ============================================================================
   // Realtime Service (Custom Topics)
   // ============================================================================
@@ -747,24 +2671,20 @@
    */
   exports(
     "subscribeToTopic",
-    wrapAsync(async (topic, callbackRef) => {
-      const callback = (data) => {
-        // Emit to a FiveM event
-        emit(`pocketbase:topic:${topic}`, data);
-
-        // Also call the callback if provided
-        if (callbackRef && typeof callbackRef === "function") {
-          callbackRef(data);
-        }
-      };
-
-      const unsubscribe = await pb.realtime.subscribe(topic, callback);
-
-      const subKey = `topic:${topic}`;
-      subscriptions.set(subKey, unsubscribe);
-
-      return true;
-    }),
+    wrapAsync(
+      withCaller(async (caller, topic, callbackRef) => {
+        await acquireSubscription(
+          `topic:${topic}`,
+          `pocketbase:topic:${topic}`,
+          caller,
+          callbackRef,
+          (callback) => pb.realtime.subscribe(topic, callback),
+        );
+
+        return true;
+      }),
+      requires("read", (args) => String(args[0]).split("/")[0]),
+    ),
   );
 
   /**
@@ -773,17 +2693,17 @@
    */
   exports(
     "unsubscribeFromTopic",
-    wrapAsync(async (topic) => {
-      const subKey = `topic:${topic}`;
-      const unsubscribe = subscriptions.get(subKey);
-      if (unsubscribe) {
-        await unsubscribe();
-        subscriptions.delete(subKey);
-      } else {
-        await pb.realtime.unsubscribe(topic);
-      }
-      return true;
-    }),
+    wrapAsync(
+      withCaller(async (caller, topic) => {
+        const subKey = `topic:${topic}`;
+        if (subscriptions.has(subKey)) {
+          await releaseSubscription(subKey, caller);
+        } else {
+          await pb.realtime.unsubscribe(topic);
+        }
+        return true;
+      }),
+    ),
   );
 
   /**
@@ -792,17 +2712,13 @@
    */
   exports(
     "unsubscribeByPrefix",
-    wrapAsync(async (topicPrefix) => {
-      await pb.realtime.unsubscribeByPrefix(topicPrefix);
-
-      // Clean up from our subscriptions map
-      for (const [key] of subscriptions.entries()) {
-        if (key.startsWith(`topic:${topicPrefix}`)) {
-          subscriptions.delete(key);
-        }
-      }
-      return true;
-    }),
+    wrapAsync(
+      withCaller(async (caller, topicPrefix) => {
+        // Only the caller's topics - other resources keep theirs
+        await releaseSubscriptionsByPrefix(`topic:${topicPrefix}`, caller);
+        return true;
+      }),
+    ),
   );
 
   /**
@@ -825,7 +2741,7 @@
     "truncateCollection",
     wrapAsync(async (collectionIdOrName, options = {}) => {
       return await pb.collections.truncate(collectionIdOrName, options);
-    }),
+    }, requires("admin")),
   );
 
   /**
@@ -834,9 +2750,12 @@
    */
   exports(
     "importCollections",
-    wrapAsync(async (collections, deleteMissing = false, options = {}) => {
-      return await pb.collections.import(collections, deleteMissing, options);
-    }),
+    wrapAsync(
+      async (collections, deleteMissing = false, options = {}) => {
+        return await pb.collections.import(collections, deleteMissing, options);
+      },
+      requires("admin", ALL_COLLECTIONS),
+    ),
   );
 
   /**
@@ -892,6 +2811,183 @@
     };
   });
 
+  /**
+   * List applied migrations, most recent first
+   * @export
+   */
+  exports(
+    "getMigrationHistory",
+    wrapAsync(
+      async (limit) => {
+        return await global.pbInternalGetMigrationHistory(limit);
+      },
+      requires("admin", ALL_COLLECTIONS),
+    ),
+  );
+
+  /**
+   * List migration files that haven't been applied yet
+   * @export
+   */
+  exports(
+    "getPendingMigrations",
+    wrapAsync(
+      async () => {
+        return await global.pbInternalGetPendingMigrations();
+      },
+      requires("admin", ALL_COLLECTIONS),
+    ),
+  );
+
+  /**
+   * Revert the last n migrations (PocketBase restarts, calls are queued)
+   * @export
+   */
+  exports(
+    "revertMigrations",
+    wrapAsync(
+      async (count = 1) => {
+        return await global.pbInternalRevertMigrations(count);
+      },
+      requires("admin", ALL_COLLECTIONS),
+    ),
+  );
+
+  // ============================================================================
+  // Safe Calling Convention
+  // ============================================================================
+
+  /**
+   * Call any export without throwing
+   * Returns { ok = true, data } or { ok = false, error = { status, code, message, fields } }
+   * Usage: exports['pb']:safe("getOne", "players", id)
+   * @export
+   */
+  exports("safe", async (name, ...args) => {
+    const fn = exportRegistry.get(name);
+    if (!fn || name === "safe") {
+      return {
+        ok: false,
+        error: {
+          status: 0,
+          code: "UNKNOWN_EXPORT",
+          message: `Unknown export: ${name}`,
+          fields: {},
+        },
+      };
+    }
+
+    try {
+      // Called synchronously so GetInvokingResource() still sees the caller
+      const data = await fn(...args);
+      return { ok: true, data };
+    } catch (error) {
+      return { ok: false, error: toSafeError(error) };
+    }
+  });
+
+  // ============================================================================
+  // Backup Management
+  // ============================================================================
+
+  /**
+   * List all backups
+   * @export
+   */
+  const listBackups = wrapAsync(
+    async () => {
+      return await pb.backups.getFullList();
+    },
+    requires("admin", ALL_COLLECTIONS),
+  );
+
+  exports("listBackups", listBackups);
+
+  /**
+   * Create a new backup (name is auto-generated when empty)
+   * @export
+   */
+  const createBackup = wrapAsync(
+    async (basename = "") => {
+      return await pb.backups.create(basename);
+    },
+    requires("admin", ALL_COLLECTIONS),
+  );
+
+  exports("createBackup", createBackup);
+
+  /**
+   * Delete a backup
+   * @export
+   */
+  const deleteBackup = wrapAsync(
+    async (key) => {
+      return await pb.backups.delete(key);
+    },
+    requires("admin", ALL_COLLECTIONS),
+  );
+
+  exports("deleteBackup", deleteBackup);
+
+  /**
+   * Get a download URL for a backup (valid for a short time)
+   * @export
+   */
+  exports(
+    "downloadBackup",
+    wrapAsync(
+      async (key) => {
+        const token = await pb.files.getToken();
+        return pb.backups.getDownloadURL(token, key);
+      },
+      requires("admin", ALL_COLLECTIONS),
+    ),
+  );
+
+  /**
+   * Restore a backup
+   * Export calls are paused while PocketBase restarts and resumed once the
+   * client has re-authenticated, so queued calls are not lost.
+   * @export
+   */
+  const restoreBackup = wrapAsync(
+    async (key, timeoutMs = 60000) => {
+      pauseCalls();
+
+      const restarted = new Promise((resolve, reject) => {
+        const timeout = setTimeout(() => {
+          restoreWaiter = null;
+          reject(new Error(`PocketBase did not restart within ${timeoutMs}ms`));
+        }, timeoutMs);
+
+        restoreWaiter = () => {
+          clearTimeout(timeout);
+          resolve();
+        };
+      });
+      // Avoid an unhandled rejection if the restore request itself fails
+      restarted.catch(() => {});
+
+      try {
+        // Tell server.js the next restart is expected
+        emit("pocketbase:client:restoring", { active: true, key });
+        await pb.backups.restore(key);
+        await restarted;
+        clientLogger.info(`Backup ${key} restored`);
+        return true;
+      } catch (error) {
+        restoreWaiter = null;
+        emit("pocketbase:client:restoring", { active: false, key });
+        throw error;
+      } finally {
+        resumeCalls();
+      }
+    },
+    requires("admin", ALL_COLLECTIONS),
+  );
+
+  exports("restoreBackup", restoreBackup);
+
   // ============================================================================
   // Internal Admin API Methods (not exported, used by server.js)
   // ============================================================================
@@ -907,50 +3003,185 @@
    * Internal: Update settings
    */
   global.pbInternalUpdateSettings = wrapAsync(async (settings) => {
-    return await pb.settings.update(settings);
+    const result = await pb.settings.update(settings);
+    // batch.maxRequests may have changed
+    batchLimit = null;
+    return result;
+  });
+
+  /**
+   * Internal: Backup management (shared with the exports above)
+   */
+  global.pbInternalListBackups = listBackups;
+  global.pbInternalCreateBackup = createBackup;
+  global.pbInternalDeleteBackup = deleteBackup;
+  global.pbInternalRestoreBackup = restoreBackup;
+
+  /**
+   * Internal: List superuser accounts
+   */
+  global.pbInternalListSuperusers = wrapAsync(async () => {
+    return await pb.collection("_superusers").getFullList({ fields: "email" });
+  });
+
+  /**
+   * Internal: Check PocketBase health
+   */
+  global.pbInternalHealthCheck = wrapAsync(async () => {
+    return await pb.health.check();
+  });
+
+  /**
+   * Internal: Export plumbing shared with the other scripts of this resource
+   */
+  global.pbInternalExports = exports;
+  global.pbInternalWrapAsync = wrapAsync;
+  global.pbInternalRequires = requires;
+  global.pbInternalCheckPermission = checkPermission;
+  global.pbInternalCheckExpandPermission = checkExpandPermission;
+  global.pbInternalWithCaller = withCaller;
+  global.pbInternalOnReady = onReady;
+
+  /**
+   * Internal: Create a record
+   */
+  global.pbInternalCreateRecord = wrapAsync(async (collection, data) => {
+    return await pb.collection(collection).create(data);
+  });
+
+  /**
+   * Internal: Update a record
+   */
+  global.pbInternalUpdateRecord = wrapAsync(async (collection, id, data) => {
+    return await pb.collection(collection).update(id, data);
+  });
+
+  /**
+   * Internal: Find a record by field value (null when missing)
+   */
+  global.pbInternalFindRecord = wrapAsync(async (collection, field, value) => {
+    try {
+      return await pb
+        .collection(collection)
+        .getFirstListItem(pb.filter(`${field} = {:value}`, { value }));
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
   });
 
   /**
-   * Internal: List all backups
+   * Internal: Get a client authenticated as an auth record (no password)
+   */
+  global.pbInternalImpersonate = wrapAsync(
+    async (collection, recordId, duration = 0) => {
+      return await pb.collection(collection).impersonate(recordId, duration);
+    },
+  );
+
+  /**
+   * Internal: Write all queued updates (used on shutdown)
+   */
+  global.pbInternalFlushWrites = () => drainWrites();
+
+  /**
+   * Internal: Get all collections
    */
-  global.pbInternalListBackups = wrapAsync(async () => {
-    return await pb.backups.getFullList();
+
+  global.pbInternalGetCollections = wrapAsync(async () => {
+    return await pb.collections.getFullList();
   });
 
   /**
-   * Internal: Create backup
+   * Internal: Import (create or replace) collections
+   * Fields missing from a payload are kept - see pbInternalUpdateCollection
    */
-  global.pbInternalCreateBackup = wrapAsync(async (basename = "") => {
-    return await pb.backups.create(basename);
+  global.pbInternalImportCollections = wrapAsync(async (collections) => {
+    return await pb.collections.import(collections, false);
   });
 
   /**
-   * Internal: Delete backup
+   * Internal: Names of the applied migrations, most recent first
+   * Read from PocketBase's _migrations table through pb's hooks route
    */
-  global.pbInternalDeleteBackup = wrapAsync(async (key) => {
-    return await pb.backups.delete(key);
+  global.pbInternalGetAppliedMigrations = wrapAsync(async (limit) => {
+    return await pb.send("/api/fivem/migrations", { query: { limit } });
   });
 
   /**
-   * Internal: Restore from backup
+   * Internal: Update one collection (a fields list replaces the current one)
    */
-  global.pbInternalRestoreBackup = wrapAsync(async (key) => {
-    return await pb.backups.restore(key);
+  global.pbInternalUpdateCollection = wrapAsync(async (idOrName, data) => {
+    return await pb.collections.update(idOrName, data);
   });
 
+  /**
+   * Internal: Re-authenticate with the credentials currently in config
+   */
+  global.pbInternalReauthenticate = () => reauthenticate();
+
+  /**
+   * Internal: List active realtime subscription keys
+   */
+  global.pbInternalListSubscriptions = () => {
+    return describeSubscriptions();
+  };
+
   // ============================================================================
   // Cleanup
   // ============================================================================
-  on("onResourceStop", (resource) => {
+  on("onResourceStop", async (resource) => {
     if (resource === resourceName) {
-      for (const [key, unsubscribe] of subscriptions.entries()) {
+      // FiveM doesn't wait for this handler - whatever isn't written before
+      // the runtime goes away is lost, so say how much that is
+      const queued = pendingWrites.size;
+      if (queued > 0) {
+        clientLogger.warn(
+          `pb is stopping with ${queued} queued update(s) - writing them now`,
+        );
+        drainWrites()
+          .catch((err) => clientLogger.warn(err.message))
+          .then(() => {
+            if (pendingWrites.size > 0) {
+              clientLogger.error(
+                `${pendingWrites.size} queued update(s) were not written and are lost`,
+              );
+            } else {
+              clientLogger.info("Queued updates written");
+            }
+          });
+      }
+
+      for (const [key, entry] of subscriptions.entries()) {
         try {
-          unsubscribe();
+          entry.unsubscribe();
         } catch (err) {
           // Silent cleanup
         }
       }
       subscriptions.clear();
+      return;
+    }
+
+    // Write the stopped resource's updates right away. Best effort: FiveM
+    // doesn't await this handler, pb keeps running so the flush completes
+    drainWrites().catch((err) =>
+      clientLogger.warn(`Failed to flush queued updates: ${err.message}`),
+    );
+
+    // A consuming resource stopped - release everything it subscribed to
+    for (const [subKey, entry] of [...subscriptions.entries()]) {
+      if (entry.owners.has(resource)) {
+        try {
+          await releaseSubscription(subKey, resource);
+        } catch (err) {
+          clientLogger.warn(
+            `Failed to release ${subKey} for ${resource}: ${err.message}`,
+          );
+        }
+      }
     }
   });
 })();
@@ -1,64 +1,841 @@
 // Wrap in module.exports function to avoid global scope pollution
 module.exports = (function () {
+  const crypto = require("crypto");
   const fs = require("fs");
   const path = require("path");
 
+  // ============================================================================
+  // Lua Parser
+  // ============================================================================
+  // Understands the subset of Lua used by config.lua (table constructors,
+  // strings, numbers, booleans, nil and comments) and remembers where every
+  // value sits in the source, so single values can be rewritten without
+  // touching the comments and formatting around them
+
+  const NAME = /[A-Za-z_][A-Za-z0-9_]*/y;
+  const NUMBER = /0[xX][0-9a-fA-F]+|(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?/y;
+  const LONG_BRACKET = /\[(=*)\[/y;
+  const PUNCTUATION = "{}[]=,;.-";
+  const KEYWORDS = ["true", "false", "nil", "return", "local"];
+
+  const ESCAPES = {
+    n: "\n",
+    t: "\t",
+    r: "\r",
+    a: "\x07",
+    b: "\b",
+    f: "\f",
+    v: "\v",
+    "\\": "\\",
+    '"': '"',
+    "'": "'",
+    "\n": "\n",
+  };
+
   /**
-   * Shared configuration loader for PocketBase
-   * Prevents duplication of config parsing logic between server.js and client.js
+   * Create an error pointing at a line of the source
    */
+  function syntaxError(message, line) {
+    const err = new Error(message);
+    err.line = line;
+    return err;
+  }
 
-  class ConfigLoader {
-    constructor() {
-      this.config = null;
-      this.configContent = "";
-      this.configPath = "";
+  /**
+   * Split the source into tokens: { type, value, start, end, line }
+   * Whitespace and comments are skipped
+   */
+  function tokenize(source) {
+    const tokens = [];
+    let pos = 0;
+    let line = 1;
+
+    const countLines = (from, to) => {
+      for (let i = from; i < to; i++) {
+        if (source[i] === "\n") line++;
+      }
+    };
+
+    const matchAt = (pattern, at) => {
+      pattern.lastIndex = at;
+      return pattern.exec(source);
+    };
+
+    // Body of [[...]] / [==[...]==] starting at pos, returns the contents
+    const readLongBracket = (what) => {
+      const open = matchAt(LONG_BRACKET, pos);
+      const close = `]${open[1]}]`;
+      const startLine = line;
+      const end = source.indexOf(close, pos + open[0].length);
+      if (end === -1) {
+        throw syntaxError(`unfinished long ${what}`, startLine);
+      }
+      const body = source.slice(pos + open[0].length, end);
+      countLines(pos, end);
+      pos = end + close.length;
+
+      // A newline directly after the opening bracket is not part of the string
+      return body.replace(/^\r?\n/, "");
+    };
+
+    const readString = (quote) => {
+      const startLine = line;
+      let value = "";
+      pos++;
+      while (source[pos] !== quote) {
+        const char = source[pos];
+        if (char === undefined || char === "\n") {
+          throw syntaxError("unfinished string", startLine);
+        }
+        if (char !== "\\") {
+          value += char;
+          pos++;
+          continue;
+        }
+
+        const escape = source[pos + 1];
+        pos += 2;
+        if (escape in ESCAPES) {
+          if (escape === "\n") line++;
+          value += ESCAPES[escape];
+        } else if (escape === "z") {
+          const whitespace = /\s*/y;
+          whitespace.lastIndex = pos;
+          whitespace.exec(source);
+          countLines(pos, whitespace.lastIndex);
+          pos = whitespace.lastIndex;
+        } else if (
+          escape === "x" &&
+          /^[0-9a-fA-F]{2}$/.test(source.substr(pos, 2))
+        ) {
+          value += String.fromCharCode(parseInt(source.substr(pos, 2), 16));
+          pos += 2;
+        } else if (/\d/.test(escape)) {
+          const digits = escape + source.substr(pos, 2).match(/^\d{0,2}/)[0];
+          value += String.fromCharCode(parseInt(digits, 10));
+          pos += digits.length - 1;
+        } else if (escape === "u" && source[pos] === "{") {
+          const end = source.indexOf("}", pos);
+          value += String.fromCodePoint(
+            parseInt(source.slice(pos + 1, end), 16),
+          );
+          pos = end + 1;
+        } else {
+          throw syntaxError(`invalid escape sequence '\\${escape}'`, line);
+        }
+      }
+      pos++;
+      return value;
+    };
+
+    while (pos < source.length) {
+      const char = source[pos];
+      const start = pos;
+      const startLine = line;
+
+      if (char === "\n") {
+        line++;
+        pos++;
+        continue;
+      }
+      if (/\s/.test(char)) {
+        pos++;
+        continue;
+      }
+
+      // Comments: -- line, --[[ block ]]
+      if (source.startsWith("--", pos)) {
+        pos += 2;
+        if (matchAt(LONG_BRACKET, pos)) {
+          readLongBracket("comment");
+        } else {
+          const end = source.indexOf("\n", pos);
+          pos = end === -1 ? source.length : end;
+        }
+        continue;
+      }
+
+      const push = (type, value, extra = {}) => {
+        tokens.push({
+          type,
+          value,
+          start,
+          end: pos,
+          line: startLine,
+          ...extra,
+        });
+      };
+
+      if (matchAt(NAME, pos)) {
+        pos = NAME.lastIndex;
+        const name = source.slice(start, pos);
+        push(KEYWORDS.includes(name) ? "keyword" : "name", name);
+      } else if (
+        /\d/.test(char) ||
+        (char === "." && /\d/.test(source[pos + 1]))
+      ) {
+        matchAt(NUMBER, pos);
+        pos = NUMBER.lastIndex;
+        push("number", Number(source.slice(start, pos)));
+      } else if (char === '"' || char === "'") {
+        push("string", readString(char), { quote: char });
+      } else if (char === "[" && matchAt(LONG_BRACKET, pos)) {
+        push("string", readLongBracket("string"), { quote: "[[" });
+      } else if (PUNCTUATION.includes(char)) {
+        pos++;
+        push("punct", char);
+      } else {
+        throw syntaxError(`unexpected character '${char}'`, line);
+      }
     }
 
-    /**
-     * Load configuration from config.lua
-     * @param {string} resourcePath - Path to the resource
-     * @returns {object} Parsed configuration
-     */
-    load(resourcePath) {
-      if (this.config) {
-        return this.config; // Return cached config
+    tokens.push({ type: "eof", start: pos, end: pos, line });
+    return tokens;
+  }
+
+  /**
+   * Parse a config file that builds a global table through assignments:
+   *   Config = {}
+   *   Config.Port = 8090
+   *   Config.Superuser = { Email = "", ... }
+   *   return Config
+   *
+   * Every node is { type, value|entries, start, end, line }, tables also
+   * have open/close positions and entries of { key, value, line, start, end }
+   * @param {string} source - Lua source
+   * @param {string} globalName - Name of the config table
+   * @returns {{ root: object, returnStart: number }}
+   */
+  function parseLua(source, globalName = "Config") {
+    const tokens = tokenize(source);
+    let index = 0;
+
+    const peek = (offset = 0) => tokens[index + offset];
+    const check = (type, value, offset = 0) =>
+      peek(offset).type === type &&
+      (value === undefined || peek(offset).value === value);
+
+    const describe = (token) =>
+      token.type === "eof"
+        ? "end of file"
+        : `'${source.slice(token.start, token.end)}'`;
+
+    const expect = (type, value, what) => {
+      if (!check(type, value)) {
+        throw syntaxError(
+          `${what} expected near ${describe(peek())}`,
+          peek().line,
+        );
+      }
+      return tokens[index++];
+    };
+
+    function parseValue() {
+      const token = peek();
+
+      if (token.type === "keyword" && token.value !== "return") {
+        if (token.value === "nil") {
+          index++;
+          return { type: "nil", value: null, ...span(token, token) };
+        }
+        if (token.value === "true" || token.value === "false") {
+          index++;
+          return {
+            type: "boolean",
+            value: token.value === "true",
+            ...span(token, token),
+          };
+        }
+      }
+      if (token.type === "number" || token.type === "string") {
+        index++;
+        return {
+          type: token.type,
+          value: token.value,
+          quote: token.quote,
+          ...span(token, token),
+        };
+      }
+      if (check("punct", "-") && check("number", undefined, 1)) {
+        const number = tokens[index + 1];
+        index += 2;
+        return { type: "number", value: -number.value, ...span(token, number) };
+      }
+      if (check("punct", "{")) {
+        return parseTable();
+      }
+
+      throw syntaxError(
+        `unexpected ${describe(token)}, value expected`,
+        token.line,
+      );
+    }
+
+    function parseTable() {
+      const open = expect("punct", "{", "'{'");
+      const node = {
+        type: "table",
+        entries: [],
+        open: open.start,
+        trailingSeparator: false,
+      };
+
+      let position = 1;
+      while (!check("punct", "}")) {
+        const first = peek();
+        let key;
+
+        if (first.type === "name" && check("punct", "=", 1)) {
+          key = first.value;
+          index += 2;
+        } else if (check("punct", "[")) {
+          index++;
+          const keyNode = parseValue();
+          if (keyNode.type !== "string" && keyNode.type !== "number") {
+            throw syntaxError(
+              "table keys must be strings or numbers",
+              first.line,
+            );
+          }
+          key = keyNode.value;
+          expect("punct", "]", "']'");
+          expect("punct", "=", "'='");
+        } else {
+          key = position++;
+        }
+
+        const value = parseValue();
+        const entry = {
+          key,
+          value,
+          line: first.line,
+          start: first.start,
+          end: value.end,
+        };
+        node.entries.push(entry);
+
+        if (check("punct", ",") || check("punct", ";")) {
+          entry.separatorEnd = tokens[index++].end;
+          node.trailingSeparator = true;
+        } else {
+          node.trailingSeparator = false;
+          break;
+        }
+      }
+
+      const close = expect("punct", "}", "'}'");
+      node.close = close.start;
+      Object.assign(node, span(open, close));
+      return node;
+    }
+
+    let root = null;
+    let returnStart = -1;
+
+    while (!check("eof")) {
+      const first = peek();
+
+      if (check("punct", ";")) {
+        index++;
+        continue;
+      }
+      if (check("keyword", "return")) {
+        index++;
+        expect("name", globalName, `'${globalName}'`);
+        returnStart = first.start;
+        continue;
+      }
+
+      // Config.A.B = value / Config["A"] = value
+      expect("name", globalName, `'${globalName}'`);
+      const path = [];
+      while (check("punct", ".") || check("punct", "[")) {
+        if (tokens[index++].value === ".") {
+          path.push(expect("name", undefined, "name").value);
+        } else {
+          const keyNode = parseValue();
+          path.push(keyNode.value);
+          expect("punct", "]", "']'");
+        }
+      }
+      expect("punct", "=", "'='");
+      const value = parseValue();
+
+      if (path.length === 0) {
+        if (value.type !== "table") {
+          throw syntaxError(`${globalName} must be a table`, first.line);
+        }
+        root = value;
+        continue;
+      }
+      if (!root) {
+        throw syntaxError(
+          `${globalName} is used before it is defined`,
+          first.line,
+        );
+      }
+
+      // Assignments add an entry to the table they index, so later
+      // lookups see them like any other key
+      let table = root;
+      for (let i = 0; i < path.length - 1; i++) {
+        const entry = findEntry(table, path[i]);
+        if (!entry || entry.value.type !== "table") {
+          throw syntaxError(
+            `${globalName}.${path.slice(0, i + 1).join(".")} is not a table`,
+            first.line,
+          );
+        }
+        table = entry.value;
+      }
+      table.entries.push({
+        key: path[path.length - 1],
+        value,
+        line: first.line,
+        start: first.start,
+        end: value.end,
+        statement: true,
+      });
+    }
+
+    if (!root) {
+      throw syntaxError(`${globalName} is not defined`, peek().line);
+    }
+
+    return { root, returnStart };
+  }
+
+  function span(first, last) {
+    return { start: first.start, end: last.end, line: first.line };
+  }
+
+  /**
+   * Find the entry of a table node by key (the last one wins, as in Lua)
+   */
+  function findEntry(table, key) {
+    for (let i = table.entries.length - 1; i >= 0; i--) {
+      if (table.entries[i].key === key) {
+        return table.entries[i];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find the node at a key path, or null
+   */
+  function getNode(root, path) {
+    let node = root;
+    for (const key of path) {
+      const entry = node.type === "table" ? findEntry(node, key) : null;
+      if (!entry) {
+        return null;
+      }
+      node = entry.value;
+    }
+    return node;
+  }
+
+  /**
+   * Convert a node to a plain value
+   * Tables with only positional entries become arrays, others objects
+   */
+  function toLuaValue(node) {
+    if (node.type !== "table") {
+      return node.value;
+    }
+    const isArray =
+      node.entries.length > 0 &&
+      node.entries.every((entry, i) => entry.key === i + 1);
+    if (isArray) {
+      return node.entries.map((entry) => toLuaValue(entry.value));
+    }
+    const object = {};
+    for (const entry of node.entries) {
+      if (entry.value.type !== "nil") {
+        object[entry.key] = toLuaValue(entry.value);
+      }
+    }
+    return object;
+  }
+
+  /**
+   * Format a value as a Lua literal
+   * @param {*} value - String, number, boolean, null, array or object
+   * @param {string} indent - Indentation of the line the value starts on
+   * @param {string} quote - Preferred quote character for strings
+   */
+  function serializeLua(value, indent = "", quote = '"') {
+    if (value === null || value === undefined) {
+      return "nil";
+    }
+    if (typeof value === "string") {
+      const escaped = value
+        .replace(/\\/g, "\\\\")
+        .replace(quote === "'" ? /'/g : /"/g, `\\${quote}`)
+        .replace(/\n/g, "\\n")
+        .replace(/\r/g, "\\r")
+        .replace(/\t/g, "\\t")
+        .replace(
+          /[\x00-\x1f\x7f]/g,
+          (char) => `\\${String(char.charCodeAt(0)).padStart(3, "0")}`,
+        );
+      return `${quote}${escaped}${quote}`;
+    }
+    if (typeof value === "number" || typeof value === "boolean") {
+      return String(value);
+    }
+    if (Array.isArray(value)) {
+      if (value.length === 0) {
+        return "{}";
+      }
+      // Lists of tables get one single-line table per line
+      if (value.some((item) => item && typeof item === "object")) {
+        const inner = `${indent}    `;
+        const lines = value.map(
+          (item) => `${inner}${serializeInline(item, inner, quote)},`,
+        );
+        return `{\n${lines.join("\n")}\n${indent}}`;
+      }
+      return `{ ${value.map((item) => serializeLua(item, indent, quote)).join(", ")} }`;
+    }
+
+    const keys = Object.keys(value);
+    if (keys.length === 0) {
+      return "{}";
+    }
+    const inner = `${indent}    `;
+    const lines = keys.map(
+      (key) =>
+        `${inner}${formatKey(key)} = ${serializeLua(value[key], inner, quote)},`,
+    );
+    return `{\n${lines.join("\n")}\n${indent}}`;
+  }
+
+  function serializeInline(value, indent, quote) {
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+      return serializeLua(value, indent, quote);
+    }
+    const fields = Object.keys(value).map(
+      (key) => `${formatKey(key)} = ${serializeLua(value[key], indent, quote)}`,
+    );
+    return fields.length > 0 ? `{ ${fields.join(", ")} }` : "{}";
+  }
+
+  function formatKey(key, bracketed = false) {
+    if (typeof key === "number") {
+      return `[${key}]`;
+    }
+    return !bracketed &&
+      /^[A-Za-z_][A-Za-z0-9_]*$/.test(key) &&
+      !KEYWORDS.includes(key)
+      ? key
+      : `[${serializeLua(key)}]`;
+  }
+
+  /**
+   * Whitespace at the start of the line containing a position
+   */
+  function indentationAt(source, pos) {
+    const lineStart = source.lastIndexOf("\n", pos - 1) + 1;
+    return source.slice(lineStart).match(/^[ \t]*/)[0];
+  }
+
+  function splice(source, start, end, text) {
+    return source.slice(0, start) + text + source.slice(end);
+  }
+
+  /**
+   * Add a key to an existing table node, in the layout the table already uses
+   */
+  function insertEntry(source, table, key, value) {
+    // Entries added by Config.X.Y = ... statements live outside the braces
+    const inline = table.entries.filter((entry) => !entry.statement);
+    const last = inline[inline.length - 1];
+    const bracketed = Boolean(last) && source[last.start] === "[";
+    const closeLineStart = source.lastIndexOf("\n", table.close - 1) + 1;
+    const multiline =
+      source.slice(closeLineStart, table.close).trim() === "" &&
+      closeLineStart > table.open;
+
+    if (!multiline) {
+      const literal = `${formatKey(key, bracketed)} = ${serializeLua(value, indentationAt(source, table.open))}`;
+      if (!last) {
+        return splice(source, table.open + 1, table.close, ` ${literal} `);
       }
+      const at = last.separatorEnd || last.end;
+      return splice(
+        source,
+        at,
+        at,
+        `${last.separatorEnd ? "" : ","} ${literal}`,
+      );
+    }
+
+    // One entry per line, inserted above the closing brace
+    const indent = last
+      ? indentationAt(source, last.start)
+      : `${indentationAt(source, table.close)}    `;
+    const line = `${indent}${formatKey(key, bracketed)} = ${serializeLua(value, indent)},\n`;
+    let updated = splice(source, closeLineStart, closeLineStart, line);
+    if (last && !last.separatorEnd) {
+      updated = splice(updated, last.end, last.end, ",");
+    }
+    return updated;
+  }
 
-      this.config = {
-        ExposeAdmin: false,
-        Host: "",
-        Port: 8090,
-        AutoUpdate: false,
-        Superuser: {
-          Email: "",
+  /**
+   * Set the value at a key path, keeping the rest of the source intact
+   * Existing values are replaced in place; missing keys (and tables) are
+   * added to their parent table
+   * @param {string} source - Lua source
+   * @param {Array<string>} path - Key path below the config table
+   * @param {*} value - New value
+   * @param {string} globalName - Name of the config table
+   * @returns {string} Updated source
+   */
+  function setLuaValue(source, path, value, globalName = "Config") {
+    const { root, returnStart } = parseLua(source, globalName);
+
+    let table = root;
+    for (let i = 0; i < path.length; i++) {
+      const entry = findEntry(table, path[i]);
+
+      if (!entry) {
+        // Wrap the value in the tables that do not exist yet
+        let missing = value;
+        for (let j = path.length - 1; j > i; j--) {
+          missing = { [path[j]]: missing };
+        }
+
+        if (table !== root || root.entries.some((e) => !e.statement)) {
+          return insertEntry(source, table, path[i], missing);
+        }
+
+        // Config = {} followed by assignments: add another assignment
+        const statement = `${globalName}.${path[i]} = ${serializeLua(missing)}\n`;
+        if (returnStart === -1) {
+          return `${source.replace(/\n*$/, "\n")}\n${statement}`;
+        }
+        return splice(source, returnStart, returnStart, `${statement}\n`);
+      }
+
+      if (i === path.length - 1) {
+        const node = entry.value;
+        const quote = node.quote === "'" ? "'" : '"';
+        return splice(
+          source,
+          node.start,
+          node.end,
+          serializeLua(value, indentationAt(source, node.start), quote),
+        );
+      }
+
+      if (entry.value.type !== "table") {
+        throw new Error(
+          `${globalName}.${path.slice(0, i + 1).join(".")} is not a table`,
+        );
+      }
+      table = entry.value;
+    }
+
+    throw new Error("Cannot replace the config table itself");
+  }
+
+  /**
+   * Shared configuration loader for PocketBase
+   * Prevents duplication of config parsing logic between server.js and client.js
+   */
+
+  // ============================================================================
+  // Configuration Layers
+  // ============================================================================
+  // Values are taken from (later ones winning): the defaults below,
+  // config.lua, the secrets file (Config.Secrets.File), convars and
+  // environment variables
+
+  const LOG_LEVELS = ["debug", "info", "warn", "error"];
+
+  // Tables whose keys are chosen by the user, with the shape of each entry
+  const MAP_TABLES = {
+    "Config.Permissions.Resources": "string",
+    "Config.Cache.Collections": { TTL: 60, MaxSize: 1000 },
+  };
+
+  // Lists whose items are not checked against the default's first item,
+  // with the type or shape of each item
+  const LIST_ITEMS = {
+    "Config.Advanced.RateLimits.Rules": {
+      Label: "",
+      MaxRequests: 300,
+      Duration: 10,
+      Audience: "",
+    },
+    "Config.Advanced.TrustedProxy.Headers": "string",
+  };
+
+  // Written to the secrets file instead of config.lua when one is configured
+  const SECRET_OPTIONS = [
+    "Config.Superuser.Email",
+    "Config.Superuser.Password",
+    "Config.Advanced.SMTP.Password",
+    "Config.Advanced.S3.AccessKey",
+    "Config.Advanced.S3.SecretKey",
+    "Config.Advanced.Backups.S3.AccessKey",
+    "Config.Advanced.Backups.S3.SecretKey",
+  ];
+
+  const SECRETS_HEADER = `-- Secrets saved by pb (see Config.Secrets in config.lua)
+-- Values in this file override config.lua. Keep it out of version control!
+Secrets = {}
+`;
+
+  /**
+   * Default value of every option
+   * The types here are the types config.lua values are checked against
+   */
+  function createDefaults() {
+    return {
+      ExposeAdmin: false,
+      Host: "",
+      Port: 8090,
+      AutoUpdate: false,
+      HotReload: true,
+      Superuser: {
+        Email: "",
+        Password: "",
+      },
+      Secrets: {
+        File: "",
+      },
+      Watchdog: {
+        Enabled: true,
+        MaxRestarts: 5,
+        CrashWindow: 300,
+        BaseDelay: 1000,
+        MaxDelay: 30000,
+      },
+      Permissions: {
+        Default: "admin",
+        Resources: {},
+      },
+      ClientAccess: {
+        Enabled: false,
+        AuthCollection: "users",
+        IdentifierType: "license",
+        IdentifierField: "license",
+        Operations: ["getList", "getOne", "create", "update", "subscribe"],
+        RateLimit: 20,
+        RateWindow: 10,
+        MaxRequestSize: 16384,
+        MaxPerPage: 100,
+        TokenDuration: 3600,
+      },
+      PlayerLinking: {
+        Enabled: false,
+        AuthCollection: "users",
+        Identifiers: ["license", "discord", "steam"],
+        NameField: "name",
+        IPField: "ip",
+        LastSeenField: "last_seen",
+        TokenDuration: 3600,
+      },
+      Cache: {
+        Collections: {},
+      },
+      Aggregates: {
+        Views: false,
+      },
+      WriteBuffer: {
+        FlushInterval: 2000,
+        FlushSize: 50,
+        MaxPending: 5000,
+        MaxRetries: 5,
+      },
+      Queue: {
+        Enabled: true,
+        MaxSize: 500,
+        Timeout: 30000,
+      },
+      Migrations: {
+        AutoApply: true,
+        Dir: "pb_migrations",
+        Strict: false,
+      },
+      Schema: {
+        DryRun: false,
+        AllowDestructive: false,
+      },
+      Backup: {
+        Enabled: false,
+        OnStartup: true,
+        Schedule: 0,
+        KeepLast: 7,
+        BackupPrefix: "auto_",
+      },
+      Advanced: {
+        Dev: false,
+        LogLevel: "info",
+        AutoMigrate: true,
+        PublicDir: "pb_public",
+        DataDir: "pb_data",
+        SMTP: {
+          Enabled: false,
+          Host: "",
+          Port: 587,
+          Username: "",
           Password: "",
+          LocalName: "",
+          TLS: true,
         },
-        Migrations: {
-          AutoApply: true,
-          Dir: "pb_migrations",
+        S3: {
+          Enabled: false,
+          Bucket: "",
+          Region: "",
+          Endpoint: "",
+          AccessKey: "",
+          SecretKey: "",
+          ForcePathStyle: false,
         },
-        Backup: {
+        Batch: {
+          Enabled: true,
+          MaxRequests: 50,
+          Timeout: 3,
+          MaxBodySize: 0,
+        },
+        Meta: {
           Enabled: false,
-          OnStartup: true,
-          Schedule: 0,
-          KeepLast: 7,
-          BackupPrefix: "auto_",
+          AppName: "",
+          AppURL: "",
+          SenderName: "",
+          SenderAddress: "",
+          HideControls: false,
         },
-        Advanced: {
-          Dev: false,
-          AutoMigrate: true,
-          PublicDir: "pb_public",
-          DataDir: "pb_data",
-          SMTP: {
-            Enabled: false,
-            Host: "",
-            Port: 587,
-            Username: "",
-            Password: "",
-            LocalName: "",
-            TLS: true,
-          },
+        RateLimits: {
+          Enabled: false,
+          Rules: [
+            { Label: "*:auth", MaxRequests: 2, Duration: 3, Audience: "" },
+            { Label: "*:create", MaxRequests: 20, Duration: 5, Audience: "" },
+            { Label: "/api/batch", MaxRequests: 3, Duration: 1, Audience: "" },
+            { Label: "/api/", MaxRequests: 300, Duration: 10, Audience: "" },
+          ],
+        },
+        Logs: {
+          Enabled: false,
+          MaxDays: 5,
+          MinLevel: 0,
+          LogIP: true,
+          LogAuthId: false,
+        },
+        TrustedProxy: {
+          Enabled: false,
+          Headers: [],
+          UseLeftmostIP: false,
+        },
+        Backups: {
+          Enabled: false,
+          Cron: "",
+          CronMaxKeep: 3,
           S3: {
             Enabled: false,
             Bucket: "",
@@ -69,171 +846,634 @@ module.exports = (function () {
             ForcePathStyle: false,
           },
         },
-      };
+      },
+    };
+  }
 
-      this.configPath = path.join(resourcePath, "config.lua");
+  /**
+   * Parse a Lua file and copy its values onto the config
+   * @param {object} state - { config, errors, warnings, sources }
+   * @param {string} filePath - File to read
+   * @param {string} origin - File name used in messages
+   * @param {string} globalName - Table the file assigns to
+   * @returns {string} File content ("" if it could not be read)
+   */
+  function readLayer(state, filePath, origin, globalName) {
+    try {
+      const content = fs.readFileSync(filePath, "utf8");
+      const { root } = parseLua(content, globalName);
+      mergeTable(state, state.config, root, "Config", origin);
+      return content;
+    } catch (err) {
+      state.errors.push(
+        err.line
+          ? `${origin}:${err.line}: ${err.message}`
+          : `${origin}: ${err.message}`,
+      );
+      return "";
+    }
+  }
 
-      try {
-        if (fs.existsSync(this.configPath)) {
-          this.configContent = fs.readFileSync(this.configPath, "utf8");
+  /**
+   * Copy the values of a parsed table onto the defaults
+   * Unknown keys and values of the wrong type are reported and skipped
+   * @param {object} state - { config, errors, warnings, sources }
+   * @param {object} target - Defaults to update in place
+   * @param {object} table - Parsed table node
+   * @param {string} name - Path of the table, e.g. "Config.Advanced"
+   * @param {string} origin - File name used in messages
+   */
+  function mergeTable(state, target, table, name, origin) {
+    for (const entry of table.entries) {
+      const key = `${name}.${entry.key}`;
+      const node = entry.value;
 
-          // Simple regex patterns for top-level config
-          const simpleMatch = (pattern) => {
-            const match = this.configContent.match(pattern);
-            return match ? match[1] : null;
-          };
+      if (!Object.prototype.hasOwnProperty.call(target, entry.key)) {
+        state.warnings.push(`${origin}:${entry.line}: Unknown option ${key}`);
+        continue;
+      }
+      if (node.type === "nil") {
+        continue;
+      }
 
-          // Parse top-level config
-          const exposeAdmin = simpleMatch(
-            /Config\.ExposeAdmin\s*=\s*(true|false)/,
-          );
-          if (exposeAdmin) this.config.ExposeAdmin = exposeAdmin === "true";
+      const expected = target[entry.key];
+      const expectedType = typeOf(expected);
+      const actualType = typeOf(node);
+      const isTable = expectedType === "array" || expectedType === "table";
+      if (actualType !== expectedType && !(actualType === "empty" && isTable)) {
+        state.warnings.push(
+          `${origin}:${entry.line}: ${key} should be ${article(expectedType)}, got ${article(actualType)} - using the default`,
+        );
+        continue;
+      }
+
+      if (expectedType === "table" && !MAP_TABLES[key]) {
+        mergeTable(state, expected, node, key, origin);
+        continue;
+      }
 
-          const host = simpleMatch(/Config\.Host\s*=\s*"([^"]*)"/);
-          if (host) this.config.Host = host;
+      if (expectedType === "array") {
+        const items = mergeList(state, expected, node, key, origin);
+        if (!items) {
+          continue;
+        }
+        target[entry.key] = items;
+      } else if (expectedType === "table") {
+        mergeMap(state, expected, node, key, origin);
+      } else {
+        target[entry.key] = node.value;
+      }
+      state.sources[key] = { file: origin };
+    }
+  }
 
-          const port = simpleMatch(/Config\.Port\s*=\s*(\d+)/);
-          if (port) this.config.Port = parseInt(port);
+  /**
+   * Copy a list, checking its items against LIST_ITEMS or the default
+   * @param {object} state - { config, errors, warnings, sources }
+   * @param {Array} defaults - Default list
+   * @param {object} list - Parsed table node
+   * @param {string} name - Path of the list
+   * @param {string} origin - File name used in messages
+   * @returns {Array|null} null when an item has the wrong type
+   */
+  function mergeList(state, defaults, list, name, origin) {
+    const template = LIST_ITEMS[name] || typeof defaults[0];
 
-          const autoUpdate = simpleMatch(
-            /Config\.AutoUpdate\s*=\s*(true|false)/,
-          );
-          if (autoUpdate) this.config.AutoUpdate = autoUpdate === "true";
+    if (list.entries.length === 0) {
+      return [];
+    }
+    if (typeof template !== "object") {
+      const items = toLuaValue(list);
+      if (items.some((item) => typeof item !== template)) {
+        state.warnings.push(
+          `${origin}:${list.line}: ${name} should only contain ${template}s - using the default`,
+        );
+        return null;
+      }
+      return items;
+    }
 
-          // Parse Superuser config
-          const email = simpleMatch(/Email\s*=\s*"([^"]*)"/);
-          if (email) this.config.Superuser.Email = email;
+    const items = [];
+    for (const entry of list.entries) {
+      const key = `${name}[${entry.key}]`;
+      if (entry.value.type !== "table") {
+        state.warnings.push(
+          `${origin}:${entry.line}: ${key} should be a table, got ${article(typeOf(entry.value))}`,
+        );
+        continue;
+      }
+      const item = { ...template };
+      mergeTable(state, item, entry.value, key, origin);
+      items.push(item);
+    }
+    return items;
+  }
 
-          const password = simpleMatch(/Password\s*=\s*"([^"]*)"/);
-          if (password) this.config.Superuser.Password = password;
+  /**
+   * Copy a table whose keys are chosen by the user (resources, collections)
+   * @param {object} state - { config, errors, warnings, sources }
+   * @param {object} target - Map to fill
+   * @param {object} table - Parsed table node
+   * @param {string} name - Path of the table
+   * @param {string} origin - File name used in messages
+   */
+  function mergeMap(state, target, table, name, origin) {
+    const template = MAP_TABLES[name];
 
-          // Parse Backup config - extract the entire Backup table
-          const backupSection = this.configContent.match(
-            /Config\.Backup\s*=\s*\{([^}]+)\}/s,
-          );
-          if (backupSection) {
-            const backupContent = backupSection[1];
-            const backupEnabled = backupContent.match(
-              /Enabled\s*=\s*(true|false)/,
-            );
-            if (backupEnabled)
-              this.config.Backup.Enabled = backupEnabled[1] === "true";
+    for (const entry of table.entries) {
+      const key = `${name}["${entry.key}"]`;
+      if (entry.value.type !== "table") {
+        state.warnings.push(
+          `${origin}:${entry.line}: ${key} should be a table, got ${article(typeOf(entry.value))}`,
+        );
+        continue;
+      }
 
-            const onStartup = backupContent.match(
-              /OnStartup\s*=\s*(true|false)/,
-            );
-            if (onStartup)
-              this.config.Backup.OnStartup = onStartup[1] === "true";
+      if (typeof template === "object") {
+        target[entry.key] = { ...template };
+        mergeTable(state, target[entry.key], entry.value, key, origin);
+        continue;
+      }
 
-            const schedule = backupContent.match(/Schedule\s*=\s*(\d+)/);
-            if (schedule) this.config.Backup.Schedule = parseInt(schedule[1]);
+      const values = {};
+      for (const item of entry.value.entries) {
+        if (typeOf(item.value) !== template) {
+          state.warnings.push(
+            `${origin}:${item.line}: ${key}["${item.key}"] should be ${article(template)}`,
+          );
+          continue;
+        }
+        values[item.key] = item.value.value;
+      }
+      target[entry.key] = values;
+    }
+  }
 
-            const keepLast = backupContent.match(/KeepLast\s*=\s*(\d+)/);
-            if (keepLast) this.config.Backup.KeepLast = parseInt(keepLast[1]);
+  /**
+   * Convar and environment variable names of an option
+   * Config.Advanced.SMTP.Password -> pb_advanced_smtp_password and
+   * PB_ADVANCED_SMTP_PASSWORD
+   */
+  function overrideNames(option) {
+    const name = option
+      .split(".")
+      .slice(1)
+      .map((part) =>
+        part
+          .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+          .replace(/([A-Z]+)([A-Z][a-z])/g, "$1_$2")
+          .toLowerCase(),
+      )
+      .join("_");
+    return { convar: `pb_${name}`, env: `PB_${name.toUpperCase()}` };
+  }
 
-            const prefix = backupContent.match(/BackupPrefix\s*=\s*"([^"]*)"/);
-            if (prefix) this.config.Backup.BackupPrefix = prefix[1];
+  /**
+   * Convert a convar / environment variable to the type of the option
+   * Lists are comma-separated, user-keyed tables are JSON
+   */
+  function parseOverride(raw, current, option) {
+    switch (typeOf(current)) {
+      case "boolean":
+        if (/^(true|1|yes|on)$/i.test(raw)) return true;
+        if (/^(false|0|no|off)$/i.test(raw)) return false;
+        throw new Error(`"${raw}" is not a boolean`);
+      case "number": {
+        const number = Number(raw);
+        if (raw.trim() === "" || !Number.isFinite(number)) {
+          throw new Error(`"${raw}" is not a number`);
+        }
+        return number;
+      }
+      case "array":
+        if (typeof LIST_ITEMS[option] === "object") {
+          const items = JSON.parse(raw);
+          if (!Array.isArray(items)) {
+            throw new Error("expected a JSON array");
           }
+          return items.map((item) => ({ ...LIST_ITEMS[option], ...item }));
+        }
+        return raw
+          .split(",")
+          .map((item) => item.trim())
+          .filter(Boolean);
+      case "table": {
+        const value = JSON.parse(raw);
+        if (typeOf(value) !== "table") {
+          throw new Error("expected a JSON object");
+        }
+        const template = MAP_TABLES[option];
+        if (typeof template !== "object") {
+          return value;
+        }
+        const map = {};
+        for (const [key, entry] of Object.entries(value)) {
+          map[key] = { ...template, ...entry };
+        }
+        return map;
+      }
+      default:
+        return raw;
+    }
+  }
 
-          // Parse Migrations config
-          const migrationsSection = this.configContent.match(
-            /Config\.Migrations\s*=\s*\{([^}]+)\}/s,
-          );
-          if (migrationsSection) {
-            const migrationsContent = migrationsSection[1];
-            const autoApply = migrationsContent.match(
-              /AutoApply\s*=\s*(true|false)/,
-            );
-            if (autoApply)
-              this.config.Migrations.AutoApply = autoApply[1] === "true";
+  /**
+   * Apply convars and environment variables to every option of a table
+   * Environment variables win over convars, empty values are ignored
+   * @param {object} state - { config, errors, warnings, sources }
+   * @param {object} target - Table to update in place
+   * @param {string} name - Path of the table
+   */
+  function applyOverrides(state, target, name) {
+    for (const [key, current] of Object.entries(target)) {
+      const option = `${name}.${key}`;
+      if (typeOf(current) === "table" && !MAP_TABLES[option]) {
+        applyOverrides(state, current, option);
+        continue;
+      }
 
-            const dir = migrationsContent.match(/Dir\s*=\s*"([^"]*)"/);
-            if (dir) this.config.Migrations.Dir = dir[1];
-          }
+      const { convar, env } = overrideNames(option);
+      let origin = null;
+      let raw = process.env[env];
+      if (raw) {
+        origin = `environment variable ${env}`;
+      } else {
+        raw = GetConvar(convar, "");
+        if (raw) origin = `convar ${convar}`;
+      }
+      if (!origin) {
+        continue;
+      }
 
-          // Parse Advanced config
-          const dev = simpleMatch(/Dev\s*=\s*(true|false)/);
-          if (dev) this.config.Advanced.Dev = dev === "true";
+      try {
+        target[key] = parseOverride(raw, current, option);
+        state.sources[option] = { override: origin };
+      } catch (err) {
+        state.warnings.push(`${origin}: ${err.message} - ignored`);
+      }
+    }
+  }
 
-          const autoMigrate = simpleMatch(/AutoMigrate\s*=\s*(true|false)/);
-          if (autoMigrate)
-            this.config.Advanced.AutoMigrate = autoMigrate === "true";
+  // ============================================================================
+  // Encrypted Secrets
+  // ============================================================================
+  // Secret values can be stored as "enc:..." (AES-256-GCM) in config.lua or
+  // the secrets file. The key is never read from a file - only from the
+  // PB_SECRETS_KEY environment variable or the pb_secrets_key convar
 
-          // Parse SMTP config - extract SMTP table
-          const smtpSection = this.configContent.match(
-            /SMTP\s*=\s*\{([^}]+)\}/s,
-          );
-          if (smtpSection) {
-            const smtpContent = smtpSection[1];
-            const enabled = smtpContent.match(/Enabled\s*=\s*(true|false)/);
-            if (enabled)
-              this.config.Advanced.SMTP.Enabled = enabled[1] === "true";
+  const ENCRYPTED_PREFIX = "enc:";
 
-            const smtpHost = smtpContent.match(/Host\s*=\s*"([^"]*)"/);
-            if (smtpHost) this.config.Advanced.SMTP.Host = smtpHost[1];
+  // Encrypted when written while a secrets key is set
+  const ENCRYPTED_OPTIONS = [
+    "Config.Superuser.Password",
+    "Config.Advanced.SMTP.Password",
+    "Config.Advanced.S3.SecretKey",
+    "Config.Advanced.Backups.S3.SecretKey",
+  ];
 
-            const smtpPort = smtpContent.match(/Port\s*=\s*(\d+)/);
-            if (smtpPort)
-              this.config.Advanced.SMTP.Port = parseInt(smtpPort[1]);
+  // Key material -> derived key, scrypt is deliberately slow
+  const derivedKeys = new Map();
 
-            const username = smtpContent.match(/Username\s*=\s*"([^"]*)"/);
-            if (username) this.config.Advanced.SMTP.Username = username[1];
+  /**
+   * The configured secrets key ("" when none is set)
+   */
+  function getSecretsKey() {
+    const { convar, env } = overrideNames("Config.Secrets.Key");
+    return process.env[env] || GetConvar(convar, "");
+  }
 
-            const smtpPassword = smtpContent.match(/Password\s*=\s*"([^"]*)"/);
-            if (smtpPassword)
-              this.config.Advanced.SMTP.Password = smtpPassword[1];
+  /**
+   * The key used before the current one, set while changing keys ("" when
+   * none is set)
+   */
+  function getPreviousSecretsKey() {
+    const { convar, env } = overrideNames("Config.Secrets.PreviousKey");
+    return process.env[env] || GetConvar(convar, "");
+  }
 
-            const localName = smtpContent.match(/LocalName\s*=\s*"([^"]*)"/);
-            if (localName) this.config.Advanced.SMTP.LocalName = localName[1];
+  function deriveKey(secret, purpose) {
+    const cacheKey = `${purpose}:${secret}`;
+    if (!derivedKeys.has(cacheKey)) {
+      derivedKeys.set(
+        cacheKey,
+        crypto.scryptSync(secret, `pocketbase-fivem:${purpose}`, 32),
+      );
+    }
+    return derivedKeys.get(cacheKey);
+  }
 
-            const tls = smtpContent.match(/TLS\s*=\s*(true|false)/);
-            if (tls) this.config.Advanced.SMTP.TLS = tls[1] === "true";
-          }
+  /**
+   * Encrypt a value as "enc:" + base64(iv | tag | ciphertext)
+   */
+  function encryptSecret(value, secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(
+      "aes-256-gcm",
+      deriveKey(secret, "secrets"),
+      iv,
+    );
+    const encrypted = Buffer.concat([
+      cipher.update(value, "utf8"),
+      cipher.final(),
+    ]);
+    return (
+      ENCRYPTED_PREFIX +
+      Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString("base64")
+    );
+  }
 
-          // Parse S3 config - extract S3 table
-          const s3Section = this.configContent.match(/S3\s*=\s*\{([^}]+)\}/s);
-          if (s3Section) {
-            const s3Content = s3Section[1];
-            const enabled = s3Content.match(/Enabled\s*=\s*(true|false)/);
-            if (enabled)
-              this.config.Advanced.S3.Enabled = enabled[1] === "true";
+  function decryptSecret(value, secret) {
+    const data = Buffer.from(value.slice(ENCRYPTED_PREFIX.length), "base64");
+    const decipher = crypto.createDecipheriv(
+      "aes-256-gcm",
+      deriveKey(secret, "secrets"),
+      data.subarray(0, 12),
+    );
+    decipher.setAuthTag(data.subarray(12, 28));
+    return Buffer.concat([
+      decipher.update(data.subarray(28)),
+      decipher.final(),
+    ]).toString("utf8");
+  }
 
-            const bucket = s3Content.match(/Bucket\s*=\s*"([^"]*)"/);
-            if (bucket) this.config.Advanced.S3.Bucket = bucket[1];
+  /**
+   * Decrypt every "enc:" value of a table in place
+   * @param {object} state - { config, errors, warnings, sources }
+   * @param {object} target - Table to update
+   * @param {string} name - Path of the table
+   * @param {string} secret - Secrets key ("" when none is set)
+   * @param {string} previous - Previous secrets key ("" when none is set)
+   */
+  function decryptValues(state, target, name, secret, previous) {
+    for (const [key, value] of Object.entries(target)) {
+      const option = `${name}.${key}`;
+      if (typeOf(value) === "table" && !MAP_TABLES[option]) {
+        decryptValues(state, value, option, secret, previous);
+        continue;
+      }
+      if (typeof value !== "string" || !value.startsWith(ENCRYPTED_PREFIX)) {
+        continue;
+      }
 
-            const region = s3Content.match(/Region\s*=\s*"([^"]*)"/);
-            if (region) this.config.Advanced.S3.Region = region[1];
+      const { file } = state.sources[option];
+      if (!secret) {
+        state.errors.push(
+          `${file}: ${option} is encrypted but no secrets key is set (PB_SECRETS_KEY or pb_secrets_key)`,
+        );
+        continue;
+      }
+      let decrypted = false;
+      for (const candidate of [secret, previous].filter(Boolean)) {
+        try {
+          target[key] = decryptSecret(value, candidate);
+        } catch (err) {
+          continue;
+        }
+        // Stored with the previous key: 'pb secrets encrypt' rewrites it
+        state.sources[option].encrypted = candidate === secret;
+        state.sources[option].previousKey = candidate !== secret;
+        decrypted = true;
+        break;
+      }
+      if (!decrypted) {
+        state.errors.push(
+          `${file}: ${option} cannot be decrypted - wrong secrets key?`,
+        );
+      }
+    }
+  }
 
-            const endpoint = s3Content.match(/Endpoint\s*=\s*"([^"]*)"/);
-            if (endpoint) this.config.Advanced.S3.Endpoint = endpoint[1];
+  class ConfigLoader {
+    constructor() {
+      this.config = null;
+      this.configContent = "";
+      this.configPath = "";
+      this.resourcePath = "";
+      this.errors = [];
+      this.warnings = [];
 
-            const accessKey = s3Content.match(/AccessKey\s*=\s*"([^"]*)"/);
-            if (accessKey) this.config.Advanced.S3.AccessKey = accessKey[1];
+      // Option path ("Config.Superuser.Password") -> { file } or { override }
+      this.sources = {};
+    }
 
-            const secretKey = s3Content.match(/SecretKey\s*=\s*"([^"]*)"/);
-            if (secretKey) this.config.Advanced.S3.SecretKey = secretKey[1];
+    /**
+     * Load configuration from config.lua, the secrets file and overrides
+     * @param {string} resourcePath - Path to the resource
+     * @returns {object} Parsed configuration
+     */
+    load(resourcePath) {
+      if (this.config) {
+        return this.config; // Return cached config
+      }
 
-            const forcePathStyle = s3Content.match(
-              /ForcePathStyle\s*=\s*(true|false)/,
-            );
-            if (forcePathStyle)
-              this.config.Advanced.S3.ForcePathStyle =
-                forcePathStyle[1] === "true";
-          }
+      this.resourcePath = resourcePath;
+      this.configPath = path.join(resourcePath, "config.lua");
 
-          return this.config;
-        } else {
+      const { config, errors, warnings, sources } = this.read();
+      this.config = config;
+      this.errors = errors;
+      this.warnings = warnings;
+      this.sources = sources;
+      return this.config;
+    }
+
+    /**
+     * Build a fresh configuration from every layer
+     * @returns {{config, errors, warnings, sources}}
+     */
+    read() {
+      const state = {
+        config: createDefaults(),
+        errors: [],
+        warnings: [],
+        sources: {},
+      };
+
+      if (fs.existsSync(this.configPath)) {
+        this.configContent = readLayer(
+          state,
+          this.configPath,
+          "config.lua",
+          "Config",
+        );
+      } else {
+        console.log("^3[Config Loader]^7 config.lua not found, using defaults");
+      }
+
+      // The secrets file itself may be chosen by a convar
+      applyOverrides(state, state.config.Secrets, "Config.Secrets");
+      const secretsPath = this.getSecretsPath(state.config);
+      if (secretsPath && fs.existsSync(secretsPath)) {
+        readLayer(state, secretsPath, state.config.Secrets.File, "Secrets");
+      }
+
+      decryptValues(
+        state,
+        state.config,
+        "Config",
+        getSecretsKey(),
+        getPreviousSecretsKey(),
+      );
+      applyOverrides(state, state.config, "Config");
+      return state;
+    }
+
+    /**
+     * Absolute path of the secrets file, or null when none is configured
+     */
+    getSecretsPath(config = this.config) {
+      return config.Secrets.File
+        ? path.resolve(this.resourcePath, config.Secrets.File)
+        : null;
+    }
+
+    /**
+     * Write values back, leaving comments and formatting intact
+     * Secrets go to the secrets file when one is configured, options set by
+     * a convar or environment variable are not written at all
+     * @param {object} updates - Nested object of the values to change,
+     *   e.g. { Superuser: { Email: "..." } }
+     */
+    writeValues(updates) {
+      const secretsFile = this.config.Secrets.File;
+
+      // File path -> { content, globalName }
+      const files = new Map();
+      const edit = (filePath, globalName, keyPath, value) => {
+        if (!files.has(filePath)) {
+          const exists = fs.existsSync(filePath);
+          files.set(filePath, {
+            content: exists
+              ? fs.readFileSync(filePath, "utf8")
+              : SECRETS_HEADER,
+            globalName,
+          });
+        }
+        const file = files.get(filePath);
+        file.content = setLuaValue(file.content, keyPath, value, globalName);
+      };
+
+      const secret = getSecretsKey();
+
+      for (let [keyPath, value] of flatten(updates)) {
+        const option = `Config.${keyPath.join(".")}`;
+        const source = this.sources[option];
+
+        if (source && source.override) {
           console.log(
-            "^3[Config Loader]^7 config.lua not found, using defaults",
+            `^3[Config Loader]^7 ${option} is set by ${source.override} - not saved`,
           );
-          return this.config;
+          continue;
         }
-      } catch (err) {
-        console.log(
-          `^1[Config Loader]^7 Failed to load config: ${err.message}`,
+
+        const encrypted =
+          Boolean(secret) &&
+          ENCRYPTED_OPTIONS.includes(option) &&
+          typeof value === "string" &&
+          value !== "";
+        if (encrypted) {
+          value = encryptSecret(value, secret);
+        }
+
+        const isSecret =
+          secretsFile &&
+          (SECRET_OPTIONS.includes(option) ||
+            (source && source.file === secretsFile));
+        if (!isSecret) {
+          edit(this.configPath, "Config", keyPath, value);
+          this.sources[option] = { file: "config.lua", encrypted };
+          continue;
+        }
+
+        edit(this.getSecretsPath(), "Secrets", keyPath, value);
+
+        // Move the secret out of config.lua instead of leaving a stale copy
+        if (
+          source &&
+          source.file === "config.lua" &&
+          typeof value === "string"
+        ) {
+          edit(this.configPath, "Config", keyPath, "");
+        }
+        this.sources[option] = { file: secretsFile, encrypted };
+      }
+
+      for (const [filePath, file] of files) {
+        fs.writeFileSync(filePath, file.content, {
+          encoding: "utf8",
+          mode: 0o600,
+        });
+        if (filePath === this.configPath) {
+          this.configContent = file.content;
+        }
+      }
+    }
+
+    /**
+     * Key PocketBase encrypts its own settings with (--encryptionEnv)
+     * Derived from the secrets key - PocketBase needs exactly 32 characters
+     * @param {boolean} previous - Derive it from the previous secrets key
+     * @returns {string|null} Key, or null when no secrets key is set
+     */
+    getSettingsEncryptionKey(previous = false) {
+      const secret = previous ? getPreviousSecretsKey() : getSecretsKey();
+      if (!secret) {
+        return null;
+      }
+      return deriveKey(secret, "settings").toString("base64").slice(0, 32);
+    }
+
+    /**
+     * Where each secret comes from and whether it is stored encrypted
+     * @returns {Array<object>} { option, source, override, encrypted, set }
+     */
+    describeSecrets() {
+      return ENCRYPTED_OPTIONS.map((option) => {
+        const source = this.sources[option] || {};
+        return {
+          option,
+          source: source.override || source.file || null,
+          override: Boolean(source.override),
+          encrypted: Boolean(source.encrypted),
+          previousKey: Boolean(source.previousKey),
+          set: Boolean(getOption(this.config, option)),
+        };
+      });
+    }
+
+    /**
+     * Rewrite the secrets stored in plain text in encrypted form
+     * @returns {Array<string>} Options that were encrypted
+     */
+    encryptSecrets() {
+      if (!getSecretsKey()) {
+        throw new Error(
+          "No secrets key set - set PB_SECRETS_KEY or the pb_secrets_key convar",
+        );
+      }
+
+      const updates = {};
+      const encrypted = [];
+      for (const secret of this.describeSecrets()) {
+        if (!secret.set || secret.encrypted || secret.override) {
+          continue;
+        }
+
+        // Config.Advanced.SMTP.Password -> { Advanced: { SMTP: { Password } } }
+        const keyPath = secret.option.split(".").slice(1);
+        let table = updates;
+        for (const key of keyPath.slice(0, -1)) {
+          table = table[key] = table[key] || {};
+        }
+        table[keyPath[keyPath.length - 1]] = getOption(
+          this.config,
+          secret.option,
         );
-        return this.config;
+        encrypted.push(secret.option);
       }
+
+      this.writeValues(updates);
+      return encrypted;
     }
 
     /**
@@ -251,32 +1491,76 @@ module.exports = (function () {
           return false;
         }
 
-        let updatedContent = this.configContent;
-        updatedContent = updatedContent.replace(
-          /(Email\s*=\s*)"([^"]*)"/,
-          `$1"${email}"`,
-        );
-        updatedContent = updatedContent.replace(
-          /(Password\s*=\s*)"([^"]*)"/,
-          `$1"${password}"`,
-        );
-
-        fs.writeFileSync(this.configPath, updatedContent, "utf8");
+        this.writeValues({ Superuser: { Email: email, Password: password } });
 
         // Update cached config
         this.config.Superuser.Email = email;
         this.config.Superuser.Password = password;
-        this.configContent = updatedContent;
 
         return true;
       } catch (err) {
         console.log(
-          `^1[Config Loader]^7 Failed to update config file: ${err.message}`,
+          `^1[Config Loader]^7 Failed to update config file: ${describeError(err)}`,
         );
         return false;
       }
     }
 
+    /**
+     * Re-read the superuser credentials from every layer
+     * Updates the cached config in place so every holder sees the change
+     * @returns {boolean} Whether the credentials changed
+     */
+    reloadSuperuserCredentials() {
+      if (!this.config || !this.configPath) {
+        return false;
+      }
+
+      const { config, errors } = this.read();
+      if (errors.length > 0) {
+        console.log(
+          `^1[Config Loader]^7 Failed to re-read config file: ${errors[0]}`,
+        );
+        return false;
+      }
+
+      const superuser = this.config.Superuser;
+      if (
+        superuser.Email === config.Superuser.Email &&
+        superuser.Password === config.Superuser.Password
+      ) {
+        return false;
+      }
+
+      superuser.Email = config.Superuser.Email;
+      superuser.Password = config.Superuser.Password;
+      return true;
+    }
+
+    /**
+     * Replace the cached config with a freshly read one
+     * The cached object is updated in place, so every holder sees the change
+     * @param {object} state - Result of read()
+     * @returns {Array<string>} Options whose value changed
+     */
+    apply(state) {
+      const changes = [];
+      assignChanged(this.config, state.config, "Config", changes);
+      this.errors = state.errors;
+      this.warnings = state.warnings;
+      this.sources = state.sources;
+      return changes;
+    }
+
+    /**
+     * Whether messages of a level are printed (Config.Advanced.LogLevel)
+     * @param {string} level - "debug", "info", "warn" or "error"
+     */
+    shouldLog(level) {
+      const current = this.config ? this.config.Advanced.LogLevel : "info";
+      return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(current);
+    }
+
     /**
      * Get the loaded config (cached)
      * @returns {object} Configuration object
@@ -299,129 +1583,90 @@ module.exports = (function () {
           return false;
         }
 
-        let updatedContent = this.configContent;
-
-        // Update SMTP settings
-        if (updates.SMTP) {
-          const smtpSection = updatedContent.match(/SMTP\s*=\s*\{([^}]+)\}/s);
-          if (smtpSection) {
-            let newSMTP = smtpSection[1];
-
-            if (updates.SMTP.Host !== undefined) {
-              newSMTP = newSMTP.replace(
-                /Host\s*=\s*"[^"]*"/,
-                `Host = "${updates.SMTP.Host}"`,
-              );
-            }
-            if (updates.SMTP.Port !== undefined) {
-              newSMTP = newSMTP.replace(
-                /Port\s*=\s*\d+/,
-                `Port = ${updates.SMTP.Port}`,
-              );
-            }
-            if (updates.SMTP.Username !== undefined) {
-              newSMTP = newSMTP.replace(
-                /Username\s*=\s*"[^"]*"/,
-                `Username = "${updates.SMTP.Username}"`,
-              );
-            }
-            if (updates.SMTP.Password !== undefined) {
-              newSMTP = newSMTP.replace(
-                /Password\s*=\s*"[^"]*"/,
-                `Password = "${updates.SMTP.Password}"`,
-              );
-            }
-            if (updates.SMTP.LocalName !== undefined) {
-              newSMTP = newSMTP.replace(
-                /LocalName\s*=\s*"[^"]*"/,
-                `LocalName = "${updates.SMTP.LocalName}"`,
-              );
-            }
-            if (updates.SMTP.TLS !== undefined) {
-              newSMTP = newSMTP.replace(
-                /TLS\s*=\s*(true|false)/,
-                `TLS = ${updates.SMTP.TLS}`,
-              );
-            }
-
-            updatedContent = updatedContent.replace(
-              /SMTP\s*=\s*\{[^}]+\}/s,
-              `SMTP = {${newSMTP}}`,
-            );
-          }
-        }
-
-        // Update S3 settings
-        if (updates.S3) {
-          const s3Section = updatedContent.match(/S3\s*=\s*\{([^}]+)\}/s);
-          if (s3Section) {
-            let newS3 = s3Section[1];
-
-            if (updates.S3.Bucket !== undefined) {
-              newS3 = newS3.replace(
-                /Bucket\s*=\s*"[^"]*"/,
-                `Bucket = "${updates.S3.Bucket}"`,
-              );
-            }
-            if (updates.S3.Region !== undefined) {
-              newS3 = newS3.replace(
-                /Region\s*=\s*"[^"]*"/,
-                `Region = "${updates.S3.Region}"`,
-              );
-            }
-            if (updates.S3.Endpoint !== undefined) {
-              newS3 = newS3.replace(
-                /Endpoint\s*=\s*"[^"]*"/,
-                `Endpoint = "${updates.S3.Endpoint}"`,
-              );
-            }
-            if (updates.S3.AccessKey !== undefined) {
-              newS3 = newS3.replace(
-                /AccessKey\s*=\s*"[^"]*"/,
-                `AccessKey = "${updates.S3.AccessKey}"`,
-              );
-            }
-            if (updates.S3.SecretKey !== undefined) {
-              newS3 = newS3.replace(
-                /SecretKey\s*=\s*"[^"]*"/,
-                `SecretKey = "${updates.S3.SecretKey}"`,
-              );
-            }
-            if (updates.S3.ForcePathStyle !== undefined) {
-              newS3 = newS3.replace(
-                /ForcePathStyle\s*=\s*(true|false)/,
-                `ForcePathStyle = ${updates.S3.ForcePathStyle}`,
-              );
-            }
-
-            updatedContent = updatedContent.replace(
-              /S3\s*=\s*\{[^}]+\}/s,
-              `S3 = {${newS3}}`,
-            );
-          }
-        }
+        this.writeValues({ Advanced: updates });
 
-        fs.writeFileSync(this.configPath, updatedContent, "utf8");
-
-        // Update cached config and content
-        this.configContent = updatedContent;
-        if (updates.SMTP) {
-          Object.assign(this.config.Advanced.SMTP, updates.SMTP);
-        }
-        if (updates.S3) {
-          Object.assign(this.config.Advanced.S3, updates.S3);
-        }
+        // Update cached config
+        assignChanged(this.config.Advanced, updates, "Config.Advanced", []);
 
         return true;
       } catch (err) {
         console.log(
-          `^1[Config Loader]^7 Failed to update advanced settings: ${err.message}`,
+          `^1[Config Loader]^7 Failed to update advanced settings: ${describeError(err)}`,
         );
         return false;
       }
     }
   }
 
+  /**
+   * Type name of a default value or parsed node
+   * ("string", "number", "boolean", "array" or "table")
+   */
+  function typeOf(value) {
+    if (value && value.type === "table") {
+      // An empty table fits both arrays and keyed tables
+      if (value.entries.length === 0) return "empty";
+      return value.entries.every((entry, i) => entry.key === i + 1)
+        ? "array"
+        : "table";
+    }
+    if (value && value.type) {
+      return value.type;
+    }
+    if (Array.isArray(value)) return "array";
+    return typeof value === "object" ? "table" : typeof value;
+  }
+
+  function article(type) {
+    if (type === "empty") return "an empty table";
+    return `${/^[aeiou]/.test(type) ? "an" : "a"} ${type}`;
+  }
+
+  /**
+   * Flatten nested updates into [keyPath, value] pairs (arrays are values)
+   */
+  function flatten(updates, prefix = []) {
+    const pairs = [];
+    for (const [key, value] of Object.entries(updates)) {
+      if (value && typeof value === "object" && !Array.isArray(value)) {
+        pairs.push(...flatten(value, [...prefix, key]));
+      } else if (value !== undefined) {
+        pairs.push([[...prefix, key], value]);
+      }
+    }
+    return pairs;
+  }
+
+  /**
+   * Copy changed values from one config to another, recursing into tables
+   * @param {Array<string>} changes - Receives the paths of changed options
+   */
+  function assignChanged(target, source, name, changes) {
+    for (const [key, value] of Object.entries(source)) {
+      const option = `${name}.${key}`;
+      if (typeOf(value) === "table" && !MAP_TABLES[option]) {
+        assignChanged(target[key], value, option, changes);
+      } else if (JSON.stringify(target[key]) !== JSON.stringify(value)) {
+        target[key] = value;
+        changes.push(option);
+      }
+    }
+  }
+
+  /**
+   * Value of an option by path ("Config.Advanced.SMTP.Password")
+   */
+  function getOption(config, option) {
+    return option
+      .split(".")
+      .slice(1)
+      .reduce((table, key) => (table ? table[key] : undefined), config);
+  }
+
+  function describeError(err) {
+    return err.line ? `config.lua:${err.line}: ${err.message}` : err.message;
+  }
+
   // Return singleton instance
   return new ConfigLoader();
 })();
@@ -0,0 +1,316 @@
+/**
+ * PocketBase FiveM Player Identity
+ * Links connecting players to records in an auth collection by their FiveM
+ * identifiers (see Config.PlayerLinking).
+ */
+(function () {
+  const crypto = require("crypto");
+  const configLoader = require("./utils/config-loader.js");
+
+  // ============================================================================
+  // Logger
+  // ============================================================================
+  const identityLogger = {
+    info: (msg) =>
+      configLoader.shouldLog("info") &&
+      console.log(`^2[PocketBase Identity]^7 ${msg}`),
+    warn: (msg) =>
+      configLoader.shouldLog("warn") &&
+      console.log(`^3[PocketBase Identity]^7 ${msg}`),
+    error: (msg) => console.log(`^1[PocketBase Identity]^7 ${msg}`),
+  };
+
+  // ============================================================================
+  // Configuration
+  // ============================================================================
+  const resourceName = GetCurrentResourceName();
+  const resourcePath = GetResourcePath(resourceName);
+
+  const config = configLoader.load(resourcePath);
+  const linking = config.PlayerLinking;
+
+  // Registered through client.js so they are reachable via safe()
+  const exports = global.pbInternalExports;
+  const wrapAsync = global.pbInternalWrapAsync;
+  const requires = global.pbInternalRequires;
+
+  // ============================================================================
+  // Player Records
+  // ============================================================================
+
+  // source -> Promise<record>, so concurrent lookups share one request
+  const players = new Map();
+
+  // source -> record id, once linking has completed
+  const linkedIds = new Map();
+
+  // source -> { token, expiresAt }
+  const tokens = new Map();
+
+  /**
+   * Collect the configured identifiers of a player
+   * @returns {object} identifier type -> full identifier ("license:abc...")
+   */
+  function getPlayerIdentifiers(source) {
+    const identifiers = {};
+    for (const type of linking.Identifiers) {
+      const identifier = GetPlayerIdentifierByType(String(source), type);
+      if (identifier) {
+        identifiers[type] = identifier;
+      }
+    }
+    return identifiers;
+  }
+
+  /**
+   * Fields refreshed on every connect
+   */
+  function getPresenceFields(source) {
+    const fields = {};
+
+    if (linking.NameField) {
+      fields[linking.NameField] = GetPlayerName(String(source)) || "";
+    }
+    if (linking.IPField) {
+      const ip = GetPlayerIdentifierByType(String(source), "ip");
+      fields[linking.IPField] = ip ? ip.replace(/^ip:/, "") : "";
+    }
+    if (linking.LastSeenField) {
+      fields[linking.LastSeenField] = new Date().toISOString();
+    }
+
+    return fields;
+  }
+
+  /**
+   * Find the player's record by identifier (in config order) or create one,
+   * then store any new identifiers and the presence fields
+   */
+  async function linkPlayer(source) {
+    const identifiers = getPlayerIdentifiers(source);
+    if (Object.keys(identifiers).length === 0) {
+      throw new Error(
+        `Player ${source} has none of the identifiers: ${linking.Identifiers.join(", ")}`,
+      );
+    }
+
+    let record = null;
+    for (const [type, identifier] of Object.entries(identifiers)) {
+      record = await global.pbInternalFindRecord(
+        linking.AuthCollection,
+        type,
+        identifier,
+      );
+      if (record) break;
+    }
+
+    const fields = { ...identifiers, ...getPresenceFields(source) };
+
+    if (!record) {
+      // Players never log in with a password - it only satisfies the auth collection
+      const password = crypto.randomBytes(24).toString("base64");
+      record = await global.pbInternalCreateRecord(linking.AuthCollection, {
+        ...fields,
+        password,
+        passwordConfirm: password,
+      });
+      identityLogger.info(
+        `Created ${linking.AuthCollection} record ${record.id} for ${GetPlayerName(String(source))}`,
+      );
+      return record;
+    }
+
+    return await global.pbInternalUpdateRecord(
+      linking.AuthCollection,
+      record.id,
+      fields,
+    );
+  }
+
+  /**
+   * Get (or start) the link for a player
+   */
+  function getLinkedRecord(source) {
+    source = String(source);
+    let pending = players.get(source);
+    if (!pending) {
+      pending = linkPlayer(source);
+      players.set(source, pending);
+      pending.then(
+        (record) => {
+          // The player may have moved to a permanent source meanwhile
+          for (const [playerSource, promise] of players.entries()) {
+            if (promise === pending) {
+              linkedIds.set(playerSource, record.id);
+            }
+          }
+        },
+        (err) => {
+          // Allow a retry on the next call if linking failed
+          players.delete(source);
+          identityLogger.error(
+            `Failed to link player ${source}: ${err.message}`,
+          );
+        },
+      );
+    }
+    return pending;
+  }
+
+  /**
+   * Drop everything cached for a player
+   */
+  function forgetPlayer(source) {
+    players.delete(source);
+    linkedIds.delete(source);
+    tokens.delete(source);
+  }
+
+  /**
+   * Get the current state of the player's record
+   * The link is cached, the record is not - it may have changed or been
+   * deleted since the player connected
+   */
+  async function getPlayerRecord(source) {
+    source = String(source);
+    const record = await getLinkedRecord(source);
+    const current = await global.pbInternalFindRecord(
+      linking.AuthCollection,
+      "id",
+      record.id,
+    );
+    if (current) {
+      return current;
+    }
+
+    // Deleted meanwhile - link the player again
+    forgetPlayer(source);
+    return await getLinkedRecord(source);
+  }
+
+  /**
+   * Internal: Get the record linked to a player (used by the client broker)
+   */
+  global.pbInternalGetPlayerRecord = (source) => getPlayerRecord(source);
+
+  /**
+   * Internal: Get the linked record id of a player (null until linked)
+   */
+  global.pbInternalGetLinkedRecordId = (source) =>
+    linkedIds.get(String(source)) || null;
+
+  // Players are only linked (and the exports below only exist) when enabled
+  if (!linking.Enabled) {
+    return;
+  }
+
+  // ============================================================================
+  // Exports
+  // ============================================================================
+
+  /**
+   * Get the auth record linked to a player
+   * @export
+   */
+  exports(
+    "getPlayerRecord",
+    wrapAsync(
+      async (source) => {
+        return await getPlayerRecord(source);
+      },
+      requires("read", () => linking.AuthCollection),
+    ),
+  );
+
+  /**
+   * Get an impersonation token for a player's record
+   * Use it to call PocketBase as that player (API rules apply)
+   * @export
+   */
+  exports(
+    "getPlayerToken",
+    wrapAsync(
+      async (source) => {
+        source = String(source);
+        const cached = tokens.get(source);
+        if (cached && cached.expiresAt > Date.now()) {
+          return cached.token;
+        }
+
+        const record = await getLinkedRecord(source);
+        const client = await global.pbInternalImpersonate(
+          linking.AuthCollection,
+          record.id,
+          linking.TokenDuration,
+        );
+
+        // Hand out a fresh token once less than a minute is left
+        tokens.set(source, {
+          token: client.authStore.token,
+          expiresAt: Date.now() + (linking.TokenDuration - 60) * 1000,
+        });
+        return client.authStore.token;
+      },
+      // The token acts as the player - only for resources trusted with the
+      // whole auth collection
+      requires("admin", () => linking.AuthCollection),
+    ),
+  );
+
+  // ============================================================================
+  // Player Events
+  // ============================================================================
+  on("playerConnecting", () => {
+    // Temporary source until playerJoining
+    getLinkedRecord(source);
+  });
+
+  on("playerJoining", (oldSource) => {
+    const playerSource = String(source);
+    const pending = players.get(String(oldSource));
+
+    players.delete(String(oldSource));
+    if (pending) {
+      players.set(playerSource, pending);
+      const recordId = linkedIds.get(String(oldSource));
+      linkedIds.delete(String(oldSource));
+      if (recordId) {
+        linkedIds.set(playerSource, recordId);
+      }
+    } else {
+      getLinkedRecord(playerSource);
+    }
+  });
+
+  on("playerDropped", () => {
+    const playerSource = String(source);
+    const pending = players.get(playerSource);
+
+    forgetPlayer(playerSource);
+
+    if (pending && linking.LastSeenField) {
+      pending
+        .then((record) =>
+          global.pbInternalUpdateRecord(linking.AuthCollection, record.id, {
+            [linking.LastSeenField]: new Date().toISOString(),
+          }),
+        )
+        .catch(() => {
+          // Already logged when linking failed
+        });
+    }
+  });
+
+  // Link players that were already online when pb (re)started
+  // Fired after every start, watchdog restart and backup restore: the records
+  // may be gone, so completed links are redone. Links still in progress are
+  // kept to avoid duplicate records
+  on("pocketbase:client:ready", () => {
+    for (const playerSource of getPlayers()) {
+      if (linkedIds.has(String(playerSource))) {
+        forgetPlayer(String(playerSource));
+      }
+      getLinkedRecord(playerSource);
+    }
+  });
+})();
@@ -11,18 +11,25 @@ module.exports = (function () {
    * Spawn a process with timeout and proper cleanup
    * @param {string} command - Command to execute
    * @param {array} args - Command arguments
-   * @param {object} options - Spawn options
+   * @param {object} options - Spawn options, plus optional input written to stdin
    * @param {number} timeoutMs - Timeout in milliseconds
    * @returns {Promise<{code, stdout, stderr}>}
    */
   function spawnWithTimeout(command, args, options = {}, timeoutMs = 5000) {
+    const { input, ...spawnOptions } = options;
+
     return new Promise((resolve) => {
       const childProcess = spawn(command, args, {
-        stdio: ["ignore", "pipe", "pipe"],
+        stdio: [input === undefined ? "ignore" : "pipe", "pipe", "pipe"],
         windowsHide: true,
-        ...options,
+        ...spawnOptions,
       });
 
+      if (input !== undefined) {
+        childProcess.stdin.on("error", () => {}); // Exited before reading
+        childProcess.stdin.end(input);
+      }
+
       let stdout = "";
       let stderr = "";
 
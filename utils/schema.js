@@ -0,0 +1,689 @@
+/**
+ * PocketBase FiveM Schema Sync
+ * Resources declare the collections they need (via the defineSchema export or
+ * a pb_schema file in their manifest). The declarations are diffed against
+ * the live collections and only the missing changes are imported.
+ */
+(function () {
+  const fs = require("fs");
+  const path = require("path");
+  const configLoader = require("./utils/config-loader.js");
+
+  // ============================================================================
+  // Logger
+  // ============================================================================
+  const schemaLogger = {
+    info: (msg) =>
+      configLoader.shouldLog("info") &&
+      console.log(`^2[PocketBase Schema]^7 ${msg}`),
+    warn: (msg) =>
+      configLoader.shouldLog("warn") &&
+      console.log(`^3[PocketBase Schema]^7 ${msg}`),
+    error: (msg) => console.log(`^1[PocketBase Schema]^7 ${msg}`),
+  };
+
+  // ============================================================================
+  // Configuration
+  // ============================================================================
+  const resourceName = GetCurrentResourceName();
+  const resourcePath = GetResourcePath(resourceName);
+
+  const config = configLoader.load(resourcePath);
+
+  // Registered through client.js so they are reachable via safe()
+  const exports = global.pbInternalExports;
+  const wrapAsync = global.pbInternalWrapAsync;
+  const requires = global.pbInternalRequires;
+  const withCaller = global.pbInternalWithCaller;
+
+  // fxmanifest key pointing at a schema file: pb_schema 'schema.json'
+  const SCHEMA_METADATA = "pb_schema";
+
+  // Collection keys that aren't compared as plain values
+  const STRUCTURAL_KEYS = ["id", "name", "type", "fields", "indexes"];
+
+  // Lua tables can't hold nil - false stands for a superuser-only rule
+  const RULE_KEYS = [
+    "listRule",
+    "viewRule",
+    "createRule",
+    "updateRule",
+    "deleteRule",
+    "authRule",
+    "manageRule",
+  ];
+
+  // ============================================================================
+  // Definitions
+  // ============================================================================
+
+  // resource -> declared schema ({ collections = { ... } })
+  const definitions = new Map();
+
+  // Syncs run one after another so each sees the previous import
+  let syncChain = Promise.resolve();
+
+  /**
+   * Lists from Lua arrive as arrays, but an empty table may arrive as {}
+   */
+  function toList(value) {
+    if (Array.isArray(value)) {
+      return value;
+    }
+    if (value && typeof value === "object" && Object.keys(value).length === 0) {
+      return [];
+    }
+    return null;
+  }
+
+  /**
+   * Validate a definition and normalize Lua quirks
+   */
+  function normalizeDefinition(definition) {
+    const collections = toList(definition && definition.collections);
+    if (!collections) {
+      throw new Error("Schema definition needs a collections list");
+    }
+
+    return collections.map((collection) => {
+      if (!collection || !collection.name) {
+        throw new Error("Every collection in a schema needs a name");
+      }
+
+      const normalized = { ...collection };
+      for (const key of RULE_KEYS) {
+        if (normalized[key] === false) {
+          normalized[key] = null;
+        }
+      }
+      if (normalized.indexes !== undefined) {
+        normalized.indexes = toList(normalized.indexes) || [];
+      }
+      if (normalized.fields !== undefined) {
+        normalized.fields = toList(normalized.fields);
+        if (!normalized.fields) {
+          throw new Error(`${collection.name}: fields must be a list`);
+        }
+        for (const field of normalized.fields) {
+          if (!field || !field.name) {
+            throw new Error(`${collection.name}: every field needs a name`);
+          }
+        }
+      }
+      return normalized;
+    });
+  }
+
+  /**
+   * Names of the collections a definition touches
+   */
+  function collectionNames(definition) {
+    const collections = toList(definition && definition.collections) || [];
+    return collections.map((collection) => collection && collection.name);
+  }
+
+  // ============================================================================
+  // Diffing
+  // ============================================================================
+
+  const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+  const normalizeIndex = (index) => index.replace(/\s+/g, " ").trim();
+
+  /**
+   * Plan the changes needed for one collection
+   * Importing never removes fields, so dropped fields and fields recreated
+   * with another type are listed in removed (the live fields, with their ids)
+   * @returns {object} { changes, skipped, payload, removed } - payload is
+   * null when up to date
+   */
+  function planCollection(declared, existing, allowDestructive) {
+    const name = declared.name;
+    const changes = [];
+    const skipped = [];
+    const removed = [];
+
+    if (!existing) {
+      const payload = { type: "base", fields: [], indexes: [], ...declared };
+      changes.push(
+        `+ collection ${name} (${payload.type}, ${payload.fields.length} fields)`,
+      );
+      return { changes, skipped, payload, removed };
+    }
+
+    if (declared.type && declared.type !== existing.type) {
+      skipped.push(
+        `${name}: type ${existing.type} -> ${declared.type} can't be changed`,
+      );
+      return { changes, skipped, payload: null, removed };
+    }
+
+    const payload = {
+      ...existing,
+      fields: existing.fields.map((field) => ({ ...field })),
+    };
+
+    if (declared.fields) {
+      const declaredNames = new Set();
+
+      for (const field of declared.fields) {
+        declaredNames.add(field.name);
+        const index = payload.fields.findIndex((f) => f.name === field.name);
+        const current = payload.fields[index];
+
+        if (!current) {
+          payload.fields.push({ ...field });
+          changes.push(`+ ${name}.${field.name} (${field.type})`);
+          continue;
+        }
+
+        if (field.type && field.type !== current.type) {
+          // PocketBase can't convert a field - it has to be recreated
+          if (!allowDestructive) {
+            skipped.push(
+              `${name}.${field.name}: type ${current.type} -> ${field.type} would drop its data`,
+            );
+            continue;
+          }
+          payload.fields[index] = { ...field };
+          removed.push(current);
+          changes.push(
+            `! ${name}.${field.name} (${current.type} -> ${field.type}, data is dropped)`,
+          );
+          continue;
+        }
+
+        const changed = Object.keys(field).filter(
+          (key) => !sameValue(field[key], current[key]),
+        );
+        if (changed.length > 0) {
+          Object.assign(current, field);
+          changes.push(`~ ${name}.${field.name} (${changed.join(", ")})`);
+        }
+      }
+
+      // System fields and the created/updated timestamps are never dropped
+      const undeclared = payload.fields.filter(
+        (field) =>
+          !declaredNames.has(field.name) &&
+          !field.system &&
+          field.type !== "autodate",
+      );
+      for (const field of undeclared) {
+        if (!allowDestructive) {
+          skipped.push(
+            `${name}.${field.name}: not declared - dropping it would delete its data`,
+          );
+          continue;
+        }
+        payload.fields.splice(payload.fields.indexOf(field), 1);
+        removed.push(field);
+        changes.push(`- ${name}.${field.name}`);
+      }
+    }
+
+    if (declared.indexes) {
+      const current = (existing.indexes || []).map(normalizeIndex);
+      const wanted = declared.indexes.map(normalizeIndex);
+      const added = wanted.filter((index) => !current.includes(index));
+      const removed = current.filter((index) => !wanted.includes(index));
+
+      if (added.length > 0 || removed.length > 0) {
+        payload.indexes = declared.indexes;
+        changes.push(
+          `~ ${name}.indexes (+${added.length}, -${removed.length})`,
+        );
+      }
+    }
+
+    for (const key of Object.keys(declared)) {
+      if (STRUCTURAL_KEYS.includes(key)) {
+        continue;
+      }
+      if (!sameValue(declared[key], existing[key])) {
+        payload[key] = declared[key];
+        changes.push(`~ ${name}.${key}`);
+      }
+    }
+
+    return {
+      changes,
+      skipped,
+      payload: changes.length > 0 ? payload : null,
+      removed,
+    };
+  }
+
+  /**
+   * Diff declared collections against the live ones
+   */
+  async function planSchema(collections, allowDestructive) {
+    const existing = await global.pbInternalGetCollections();
+    const byName = new Map(existing.map((c) => [c.name, c]));
+
+    // previous: snapshots of changed collections, created: names of new ones
+    // removals: { collection, fields } live fields to remove before the import
+    const plan = {
+      changes: [],
+      skipped: [],
+      payloads: [],
+      previous: [],
+      created: [],
+      removals: [],
+    };
+    for (const declared of collections) {
+      const current = byName.get(declared.name);
+      const result = planCollection(declared, current, allowDestructive);
+      plan.changes.push(...result.changes);
+      plan.skipped.push(...result.skipped);
+      if (result.payload) {
+        plan.payloads.push(result.payload);
+        if (current) {
+          plan.previous.push(current);
+          if (result.removed.length > 0) {
+            plan.removals.push({ collection: current, fields: result.removed });
+          }
+        } else {
+          plan.created.push(declared.name);
+        }
+      }
+    }
+    return plan;
+  }
+
+  // ============================================================================
+  // Sync
+  // ============================================================================
+
+  /**
+   * Diff a resource's schema and apply it unless this is a dry run
+   * @returns {Promise<object>} { changes, skipped, applied }
+   */
+  function syncSchema(owner, definition, options = {}) {
+    const dryRun = options.dryRun ?? config.Schema.DryRun;
+    const allowDestructive =
+      options.allowDestructive ?? config.Schema.AllowDestructive;
+
+    const run = async () => {
+      const collections = normalizeDefinition(definition);
+      const plan = await planSchema(collections, allowDestructive);
+
+      plan.skipped.forEach((line) =>
+        schemaLogger.warn(`${owner}: skipped ${line}`),
+      );
+      if (plan.skipped.length > 0 && !allowDestructive) {
+        schemaLogger.warn(
+          `${owner}: set Config.Schema.AllowDestructive to apply destructive changes`,
+        );
+      }
+
+      if (plan.payloads.length === 0) {
+        return { changes: [], skipped: plan.skipped, applied: false };
+      }
+
+      plan.changes.forEach((line) =>
+        schemaLogger.info(`${owner}: ${dryRun ? "[dry run] " : ""}${line}`),
+      );
+
+      if (!dryRun) {
+        for (const removal of plan.removals) {
+          await global.pbInternalUpdateCollection(removal.collection.id, {
+            fields: removal.collection.fields.filter(
+              (field) => !removal.fields.some((f) => f.id === field.id),
+            ),
+          });
+        }
+        await global.pbInternalImportCollections(plan.payloads);
+        schemaLogger.info(
+          `${owner}: applied ${plan.changes.length} schema change(s)`,
+        );
+      }
+
+      return { changes: plan.changes, skipped: plan.skipped, applied: !dryRun };
+    };
+
+    const result = syncChain.then(run);
+    syncChain = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Sync every registered definition
+   */
+  async function syncAll(options = {}) {
+    const results = {};
+    for (const [owner, definition] of definitions.entries()) {
+      try {
+        results[owner] = await syncSchema(owner, definition, options);
+      } catch (err) {
+        schemaLogger.error(`${owner}: ${err.message}`);
+        results[owner] = { error: err.message };
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Internal: Sync all registered schemas (used by the pb schema command)
+   */
+  global.pbInternalSyncSchemas = (options) => syncAll(options);
+
+  // ============================================================================
+  // Migration Files
+  // ============================================================================
+
+  /**
+   * Indent every line of a block
+   */
+  const indent = (text, prefix) =>
+    text
+      .split("\n")
+      .map((line) => (line ? prefix + line : line))
+      .join("\n");
+
+  /**
+   * Render a migration file in the format of `pocketbase migrate create`
+   */
+  function renderMigration(migrationsDir, up, down) {
+    const types = path
+      .relative(
+        migrationsDir,
+        path.join(resourcePath, config.Advanced.DataDir, "types.d.ts"),
+      )
+      .split(path.sep)
+      .join("/");
+
+    return [
+      `/// <reference path="${types}" />`,
+      "migrate((app) => {",
+      indent(up, "  "),
+      "}, (app) => {",
+      indent(down, "  "),
+      "})",
+      "",
+    ].join("\n");
+  }
+
+  /**
+   * Lines removing fields from a collection (importCollections never does)
+   * @param {string} method - "removeById" or "removeByName"
+   */
+  function renderFieldRemoval(collection, method, keys) {
+    return [
+      "{",
+      `  const collection = app.findCollectionByNameOrId(${JSON.stringify(collection)});`,
+      ...keys.map(
+        (key) => `  collection.fields.${method}(${JSON.stringify(key)});`,
+      ),
+      "  app.save(collection);",
+      "}",
+      "",
+    ];
+  }
+
+  /**
+   * Up and down bodies that move between the live and the declared schema
+   * down removes what up added and imports the previous snapshot, which
+   * restores the old fields by id (their data is not restored)
+   */
+  function renderPlan(plan) {
+    const up = [];
+    for (const removal of plan.removals) {
+      up.push(
+        ...renderFieldRemoval(
+          removal.collection.name,
+          "removeById",
+          removal.fields.map((field) => field.id),
+        ),
+      );
+    }
+    up.push(
+      `const snapshot = ${JSON.stringify(plan.payloads, null, 2)};`,
+      "",
+      "return app.importCollections(snapshot, false);",
+    );
+
+    const down = [];
+    for (const payload of plan.payloads) {
+      if (plan.created.includes(payload.name)) {
+        continue;
+      }
+      // Fields without an id are the ones up added (or recreated)
+      const added = payload.fields
+        .filter((field) => !field.id)
+        .map((field) => field.name);
+      if (added.length > 0) {
+        down.push(...renderFieldRemoval(payload.name, "removeByName", added));
+      }
+    }
+    for (const name of plan.created) {
+      down.push(
+        `app.delete(app.findCollectionByNameOrId(${JSON.stringify(name)}));`,
+      );
+    }
+    if (plan.previous.length > 0) {
+      if (plan.created.length > 0) {
+        down.push("");
+      }
+      down.push(
+        `const snapshot = ${JSON.stringify(plan.previous, null, 2)};`,
+        "",
+        "return app.importCollections(snapshot, false);",
+      );
+    }
+
+    return { up: up.join("\n"), down: down.join("\n").trimEnd() };
+  }
+
+  /**
+   * Write a timestamped migration into Config.Migrations.Dir
+   * Without schema changes a blank migration is written to fill in by hand
+   * @returns {Promise<object>} { file, changes, skipped }
+   */
+  async function generateMigration(name, definition, options = {}) {
+    const slug = String(name || "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "_")
+      .replace(/^_+|_+$/g, "");
+    if (!slug) {
+      throw new Error("Migration name is required");
+    }
+
+    let plan = null;
+    if (definition) {
+      const allowDestructive =
+        options.allowDestructive ?? config.Schema.AllowDestructive;
+      plan = await planSchema(
+        normalizeDefinition(definition),
+        allowDestructive,
+      );
+      plan.skipped.forEach((line) => schemaLogger.warn(`skipped ${line}`));
+    }
+
+    const body =
+      plan && plan.payloads.length > 0
+        ? renderPlan(plan)
+        : { up: "// add up queries...", down: "// add down queries..." };
+
+    const migrationsDir = path.join(resourcePath, config.Migrations.Dir);
+    fs.mkdirSync(migrationsDir, { recursive: true });
+
+    // Same naming as PocketBase: <unix seconds>_<name>.js
+    // Never overwrite - a later second keeps the migrations in order
+    const content = renderMigration(migrationsDir, body.up, body.down);
+    let seconds = Math.floor(Date.now() / 1000);
+    let file;
+    for (;;) {
+      file = `${seconds}_${slug}.js`;
+      try {
+        fs.writeFileSync(path.join(migrationsDir, file), content, {
+          encoding: "utf8",
+          flag: "wx",
+        });
+        break;
+      } catch (err) {
+        if (err.code !== "EEXIST") {
+          throw err;
+        }
+        seconds++;
+      }
+    }
+
+    schemaLogger.info(`Created migration ${config.Migrations.Dir}/${file}`);
+    return {
+      file: path.join(config.Migrations.Dir, file),
+      changes: plan ? plan.changes : [],
+      skipped: plan ? plan.skipped : [],
+    };
+  }
+
+  /**
+   * Internal: Write a migration for every registered schema (pb migrate create)
+   */
+  global.pbInternalGenerateMigration = (name) => {
+    const collections = [];
+    for (const definition of definitions.values()) {
+      collections.push(...(toList(definition.collections) || []));
+    }
+    return generateMigration(
+      name,
+      collections.length > 0 ? { collections } : null,
+    );
+  };
+
+  // ============================================================================
+  // Schema Files
+  // ============================================================================
+
+  /**
+   * Read the schema files a resource lists under pb_schema in its manifest
+   * @returns {object|null} Merged definition, or null if it has none
+   */
+  function loadSchemaFiles(resource) {
+    const count = GetNumResourceMetadata(resource, SCHEMA_METADATA);
+    if (!count) {
+      return null;
+    }
+
+    const collections = [];
+    for (let i = 0; i < count; i++) {
+      const file = GetResourceMetadata(resource, SCHEMA_METADATA, i);
+      const content = LoadResourceFile(resource, file);
+      if (!content) {
+        throw new Error(`Schema file ${file} not found`);
+      }
+      const definition = JSON.parse(content);
+      collections.push(...(toList(definition && definition.collections) || []));
+    }
+    return { collections };
+  }
+
+  /**
+   * Register and sync a resource's schema files
+   */
+  function syncResourceFiles(resource) {
+    let definition;
+    try {
+      definition = loadSchemaFiles(resource);
+      if (!definition) {
+        return;
+      }
+      // Schema files need the same access as defineSchema
+      global.pbInternalCheckPermission(
+        resource,
+        requires("admin", () => collectionNames(definition)),
+        [],
+      );
+    } catch (err) {
+      schemaLogger.error(`${resource}: ${err.message}`);
+      return;
+    }
+
+    definitions.set(resource, definition);
+    syncSchema(resource, definition).catch((err) =>
+      schemaLogger.error(`${resource}: ${err.message}`),
+    );
+  }
+
+  // ============================================================================
+  // Exports
+  // ============================================================================
+
+  /**
+   * Declare the collections a resource needs
+   * Only the differences to the live schema are applied
+   * @export
+   */
+  exports(
+    "defineSchema",
+    wrapAsync(
+      withCaller(async (owner, definition, options = {}) => {
+        definitions.set(owner, definition);
+        return await syncSchema(owner, definition, options);
+      }),
+      requires("admin", (args) => collectionNames(args[0])),
+    ),
+  );
+
+  /**
+   * Preview the changes a schema would make without applying them
+   * @export
+   */
+  exports(
+    "planSchema",
+    wrapAsync(
+      withCaller(async (owner, definition, options = {}) => {
+        return await syncSchema(owner, definition, {
+          ...options,
+          dryRun: true,
+        });
+      }),
+      requires("read", (args) => collectionNames(args[0])),
+    ),
+  );
+
+  /**
+   * Write a migration file that moves the live schema to the declared one
+   * Applied by PocketBase on its next start
+   * @export
+   */
+  exports(
+    "generateMigration",
+    wrapAsync(
+      async (name, changes = null, options = {}) => {
+        return await generateMigration(name, changes, options);
+      },
+      // Blank migrations can do anything - they need admin on every collection
+      requires("admin", (args) => {
+        const names = collectionNames(args[1]);
+        return names.length > 0 ? names : "*";
+      }),
+    ),
+  );
+
+  // ============================================================================
+  // Resource Events
+  // ============================================================================
+  let scanned = false;
+
+  // Resources started before PocketBase was ready
+  global.pbInternalOnReady(() => {
+    scanned = true;
+    for (let i = 0; i < GetNumResources(); i++) {
+      const resource = GetResourceByFindIndex(i);
+      if (resource && GetResourceState(resource) === "started") {
+        syncResourceFiles(resource);
+      }
+    }
+  });
+
+  on("onResourceStart", (resource) => {
+    if (scanned && resource !== resourceName) {
+      syncResourceFiles(resource);
+    }
+  });
+
+  on("onResourceStop", (resource) => {
+    definitions.delete(resource);
+  });
+})();
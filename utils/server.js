@@ -22,10 +22,13 @@ const colors = {
 // Logger
 // ============================================================================
 const logger = {
-  info: (msg) => console.log(`^2[PocketBase]^7 ${msg}`),
-  warn: (msg) => console.log(`^3[PocketBase]^7 ${msg}`),
+  info: (msg) =>
+    configLoader.shouldLog("info") && console.log(`^2[PocketBase]^7 ${msg}`),
+  warn: (msg) =>
+    configLoader.shouldLog("warn") && console.log(`^3[PocketBase]^7 ${msg}`),
   error: (msg) => console.log(`^1[PocketBase]^7 ${msg}`),
-  debug: (msg) => console.log(`^5[PocketBase]^7 ${msg}`),
+  debug: (msg) =>
+    configLoader.shouldLog("debug") && console.log(`^5[PocketBase]^7 ${msg}`),
   raw: (msg) => console.log(msg),
 };
 
@@ -35,12 +38,13 @@ const logger = {
 const startupStatus = {
   executablePath: "",
   superuserEmail: "",
-  superuserPassword: "",
   bindAddress: "",
   publicUrl: "",
   exposeAdmin: false,
   healthCheckPassed: false,
   clientAuthenticated: null,
+  restartCount: 0,
+  lastExitReason: "",
   errors: [],
   warnings: [],
 };
@@ -178,6 +182,9 @@ function displayStartupStatus() {
     `${colors.white("Binding: ")} ${colors.magenta(startupStatus.bindAddress)}`,
   );
 
+  // Derived warnings are collected locally so the box can be redrawn
+  const warnings = [...startupStatus.warnings];
+
   // Combined Health & Authentication Status
   let healthStatus = "";
   let healthColor = colors.green;
@@ -186,7 +193,7 @@ function displayStartupStatus() {
   if (startupStatus.clientAuthenticated === false) {
     healthStatus = "✗ Authentication Failed";
     healthColor = colors.red;
-    startupStatus.warnings.push(
+    warnings.push(
       "Client failed to authenticate - check superuser credentials",
     );
   } else if (startupStatus.clientAuthenticated === true) {
@@ -198,7 +205,7 @@ function displayStartupStatus() {
       } else if (startupStatus.healthCheckPassed === false) {
         healthStatus = "✗ Public URL Not Accessible";
         healthColor = colors.red;
-        startupStatus.warnings.push("Check firewall/port forwarding settings");
+        warnings.push("Check firewall/port forwarding settings");
       }
     } else {
       // Not exposed, just show started
@@ -220,6 +227,13 @@ function displayStartupStatus() {
     );
   }
 
+  // Watchdog restarts (only once PocketBase has been restarted)
+  if (startupStatus.restartCount > 0) {
+    boxContent.push(
+      `${colors.white("Restarts:")} ${colors.yellow(String(startupStatus.restartCount))} ${colors.gray(`(last: ${startupStatus.lastExitReason})`)}`,
+    );
+  }
+
   // Superuser credentials (only show if generated or first time)
   if (startupStatus.superuserEmail) {
     boxContent.push("");
@@ -227,15 +241,15 @@ function displayStartupStatus() {
       `${colors.white("Email:   ")} ${colors.cyan(startupStatus.superuserEmail)}`,
     );
     boxContent.push(
-      `${colors.white("Pass:    ")} ${colors.cyan(startupStatus.superuserPassword)}`,
+      `${colors.white("Pass:    ")} ${maskedSecret("Superuser password")}`,
     );
   }
 
   // Warnings
-  if (startupStatus.warnings.length > 0) {
+  if (warnings.length > 0) {
     boxContent.push("");
     boxContent.push(colors.yellow("⚠️  Warnings:"));
-    startupStatus.warnings.forEach((warning) => {
+    warnings.forEach((warning) => {
       boxContent.push(`${colors.yellow("   • ")} ${warning}`);
     });
   }
@@ -293,6 +307,233 @@ async function checkPublicUrlHealth(url) {
   });
 }
 
+// ============================================================================
+// Secret Masking
+// ============================================================================
+// Generated secrets are masked in the console (txAdmin keeps console logs)
+// and can be shown once with `pb secrets reveal`
+
+// Label -> value, until revealed
+const unrevealedSecrets = new Map();
+
+function holdSecret(label, value) {
+  unrevealedSecrets.set(label, value);
+}
+
+function maskedSecret(label) {
+  return unrevealedSecrets.has(label)
+    ? `******** ${colors.gray("(pb secrets reveal)")}`
+    : colors.gray("******** (already revealed)");
+}
+
+// ============================================================================
+// PocketBase Executable
+// ============================================================================
+// Environment variable PocketBase reads its settings encryption key from
+const SETTINGS_KEY_ENV = "PB_SETTINGS_ENCRYPTION_KEY";
+
+/**
+ * Arguments and spawn options for running the PocketBase executable
+ * With a secrets key set, PocketBase also encrypts its stored settings
+ * (SMTP password, S3 secret) with a key derived from it
+ * @param {string|null} key - Settings encryption key, the current one by default
+ * @returns {Array} [args, options]
+ */
+function pbCommand(
+  args,
+  options = {},
+  key = configLoader.getSettingsEncryptionKey(),
+) {
+  if (!key) {
+    return [args, { cwd: resourcePath, ...options }];
+  }
+  return [
+    [...args, `--encryptionEnv=${SETTINGS_KEY_ENV}`],
+    {
+      cwd: resourcePath,
+      ...options,
+      env: { ...(options.env || process.env), [SETTINGS_KEY_ENV]: key },
+    },
+  ];
+}
+
+// ============================================================================
+// PocketBase Hooks
+// ============================================================================
+// JSVM hooks pb needs from PocketBase, written to its default hooks dir
+// (next to the data dir) so hooks of your own there keep working.
+// Each handler runs in its own VM - it can't use anything outside itself
+
+const HOOKS_FILE = "pb_fivem.pb.js";
+
+const HOOKS = `// Written by the pb resource on every start - changes are overwritten
+
+// Names of the applied migrations, most recent first
+routerAdd("GET", "/api/fivem/migrations", (e) => {
+  const limit = Math.min(Math.max(parseInt(e.request.url.query().get("limit")) || 100, 1), 1000);
+  const rows = arrayOf(new DynamicModel({ file: "" }));
+  e.app.db()
+    .newQuery("SELECT file FROM {{_migrations}} ORDER BY applied DESC, file DESC LIMIT {:limit}")
+    .bind({ limit })
+    .all(rows);
+  return e.json(200, rows.map((row) => row.file));
+}, $apis.requireSuperuserAuth());
+
+// Rewrite the stored settings with the key in <encryptionEnv>_NEW (plain when
+// empty). Run with the key they are encrypted with as --encryptionEnv
+$app.rootCmd.addCommand(new Command({
+  use: "fivem-reencrypt-settings",
+  run: (cmd, args) => {
+    const param = new DynamicModel({ value: "" });
+    try {
+      $app.db().newQuery("SELECT value FROM {{_params}} WHERE id = 'settings'").one(param);
+    } catch (err) {
+      return; // Nothing stored yet
+    }
+
+    let value = param.value;
+    const oldKey = $os.getenv("${SETTINGS_KEY_ENV}");
+    if (oldKey && !value.trim().startsWith("{")) {
+      value = toString($security.decrypt(value, oldKey));
+    }
+    const newKey = $os.getenv("${SETTINGS_KEY_ENV}_NEW");
+    if (newKey) {
+      value = $security.encrypt(value, newKey);
+    }
+
+    $app.db()
+      .newQuery("UPDATE {{_params}} SET value = {:value} WHERE id = 'settings'")
+      .bind({ value })
+      .execute();
+  },
+}));
+`;
+
+/**
+ * Write pb's hooks file, unless it is up to date
+ * PocketBase restarts itself when a hooks file changes while it runs
+ */
+function installHooks() {
+  const dir = path.join(
+    resourcePath,
+    config.Advanced.DataDir,
+    "..",
+    "pb_hooks",
+  );
+  const file = path.join(dir, HOOKS_FILE);
+  if (fs.existsSync(file) && fs.readFileSync(file, "utf8") === HOOKS) {
+    return;
+  }
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(file, HOOKS);
+}
+
+// ============================================================================
+// Settings Encryption Key
+// ============================================================================
+// PocketBase only reads its stored settings with the key they were encrypted
+// with - `serve` fails otherwise. A fingerprint of that key is kept in the
+// data dir, so a changed secrets key stops pb with a clear error instead, or
+// with the previous key set, gets the settings re-encrypted
+
+const SETTINGS_KEY_FILE = ".settings_key";
+const NO_SETTINGS_KEY = "none";
+
+function settingsKeyFingerprint(key) {
+  if (!key) {
+    return NO_SETTINGS_KEY;
+  }
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+/**
+ * Re-encrypt PocketBase's stored settings from oldKey to newKey
+ * Uses the fivem-reencrypt-settings command of pb's hooks file
+ * @param {string} oldKey - Key the settings are encrypted with
+ * @param {string|null} newKey - Key to encrypt them with, null for plain
+ */
+async function reencryptSettings(pbPath, oldKey, newKey) {
+  const result = await spawnWithTimeout(
+    pbPath,
+    ...pbCommand(
+      ["fivem-reencrypt-settings", "--dir", config.Advanced.DataDir],
+      { env: { ...process.env, [`${SETTINGS_KEY_ENV}_NEW`]: newKey || "" } },
+      oldKey,
+    ),
+    30000,
+  );
+  if (result.code !== 0) {
+    throw new Error(
+      (result.stderr || result.stdout).trim().split("\n").pop() ||
+        describeExit(result.code, null),
+    );
+  }
+}
+
+/**
+ * Find out whether PocketBase's stored settings need the previous key
+ * Throws when they can't be read with the current (or previous) key
+ * @returns {string|null} The previous key to re-encrypt from, or null
+ */
+function getSettingsKeyChange() {
+  const dataDir = path.join(resourcePath, config.Advanced.DataDir);
+  const file = path.join(dataDir, SETTINGS_KEY_FILE);
+  const key = configLoader.getSettingsEncryptionKey();
+  const current = settingsKeyFingerprint(key);
+  const stored = fs.existsSync(file)
+    ? fs.readFileSync(file, "utf8").trim()
+    : null;
+
+  // No fingerprint yet (new data dir, or written by an older version): take
+  // the current key. Unencrypted settings are readable with any key
+  if (stored === null || stored === NO_SETTINGS_KEY || stored === current) {
+    if (stored !== current) {
+      fs.mkdirSync(dataDir, { recursive: true });
+      fs.writeFileSync(file, current);
+    }
+    return null;
+  }
+
+  const previousKey = configLoader.getSettingsEncryptionKey(true);
+  if (!previousKey || settingsKeyFingerprint(previousKey) !== stored) {
+    const problem = key
+      ? "encrypted with a different secrets key"
+      : "encrypted, but no secrets key is set";
+    throw new Error(
+      `PocketBase settings in ${config.Advanced.DataDir} are ${problem} - set the old key again, or set it as pb_secrets_previous_key to re-encrypt them`,
+    );
+  }
+  return previousKey;
+}
+
+/**
+ * Make sure PocketBase can read its stored settings with the current key
+ * Settings stored with the previous secrets key are re-encrypted, so
+ * PocketBase must not be running
+ */
+async function checkSettingsKey(pbPath) {
+  const previousKey = getSettingsKeyChange();
+  if (!previousKey) {
+    return;
+  }
+
+  const key = configLoader.getSettingsEncryptionKey();
+  try {
+    await reencryptSettings(pbPath, previousKey, key);
+  } catch (err) {
+    throw new Error(
+      `Failed to re-encrypt PocketBase settings with the new secrets key: ${err.message}`,
+    );
+  }
+  fs.writeFileSync(
+    path.join(resourcePath, config.Advanced.DataDir, SETTINGS_KEY_FILE),
+    settingsKeyFingerprint(key),
+  );
+  logger.info(
+    "Re-encrypted PocketBase settings with the new secrets key - pb_secrets_previous_key can be removed",
+  );
+}
+
 // ============================================================================
 // Superuser Management
 // ============================================================================
@@ -300,6 +541,25 @@ function generateRandomPassword(length = 20) {
   return crypto.randomBytes(length).toString("base64").slice(0, length);
 }
 
+async function upsertSuperuser(pbPath, email, password) {
+  const result = await spawnWithTimeout(
+    pbPath,
+    ...pbCommand([
+      "superuser",
+      "upsert",
+      email,
+      password,
+      "--dir",
+      config.Advanced.DataDir,
+    ]),
+    5000,
+  );
+
+  return (
+    result.code === 0 || result.stdout.includes("Successfully saved superuser")
+  );
+}
+
 async function createSuperuser(pbPath, publicIP) {
   let email = config.Superuser.Email;
   let password = config.Superuser.Password;
@@ -309,42 +569,33 @@ async function createSuperuser(pbPath, publicIP) {
   const hasConfigCredentials =
     email && email !== "" && password && password !== "";
 
-  // If config is empty, generate credentials
+  // If config is empty, generate credentials (an email set through a
+  // convar or environment variable is kept)
   if (!hasConfigCredentials) {
     const domain = publicIP || "localhost";
-    email = `admin@${domain}.local`;
-    password = generateRandomPassword();
+    email = email || `admin@${domain}.local`;
+    password = password || generateRandomPassword();
     needsConfigUpdate = true;
   }
 
   // Always upsert the superuser (create if not exists, update if exists)
-  const result = await spawnWithTimeout(
-    pbPath,
-    ["superuser", "upsert", email, password, "--dir", config.Advanced.DataDir],
-    { cwd: resourcePath },
-    5000,
-  );
-
-  if (
-    result.code === 0 ||
-    result.stdout.includes("Successfully saved superuser")
-  ) {
+  if (await upsertSuperuser(pbPath, email, password)) {
     // Update config file with generated credentials (only if we generated them)
     if (needsConfigUpdate) {
       const updated = configLoader.updateSuperuserCredentials(email, password);
       if (!updated) {
-        startupStatus.warnings.push("Failed to save credentials to config.lua");
+        startupStatus.warnings.push(
+          `Failed to save credentials to ${config.Secrets.File || "config.lua"}`,
+        );
       }
       // Store for display (only if newly generated)
       startupStatus.superuserEmail = email;
-      startupStatus.superuserPassword = password;
+      holdSecret("Superuser password", password);
     }
 
     return true;
   } else {
-    startupStatus.errors.push(
-      `Failed to configure superuser (code ${result.code})`,
-    );
+    startupStatus.errors.push("Failed to configure superuser");
     return false;
   }
 }
@@ -373,50 +624,240 @@ async function checkAndUpdate(pbPath) {
 // ============================================================================
 // Migration Management
 // ============================================================================
-async function applyPendingMigrations(pbPath) {
-  if (!config.Migrations.AutoApply) {
-    return;
+
+// How far back `migrate history` looks
+const MIGRATION_HISTORY_LIMIT = 1000;
+
+// Reverted migration files are moved here (inside Config.Migrations.Dir),
+// otherwise the next `serve` applies them again
+const REVERTED_MIGRATIONS_DIR = "reverted";
+
+function migrateArgs(...command) {
+  return [
+    "migrate",
+    ...command,
+    "--dir",
+    config.Advanced.DataDir,
+    "--migrationsDir",
+    config.Migrations.Dir,
+  ];
+}
+
+/**
+ * Extract migration file names from `pocketbase migrate` output
+ * PocketBase prints one "Applied <file>" (up) or "Reverted <file>" (down)
+ * line per migration - other lines (the confirmation prompt) are ignored
+ * @param {string} verb - "Applied" or "Reverted"
+ */
+function parseMigrationNames(output, verb) {
+  const prefix = `${verb} `;
+  return output
+    .replace(/\x1b\[[0-9;]*m/g, "")
+    .split("\n")
+    .map((line) => line.trim())
+    .filter((line) => line.startsWith(prefix))
+    .map((line) => line.slice(prefix.length).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Run `migrate up`
+ * @returns {Promise<object>} { ok, applied, error }
+ */
+async function migrateUp(pbPath) {
+  const result = await spawnWithTimeout(
+    pbPath,
+    ...pbCommand(migrateArgs("up")),
+    30000,
+  );
+
+  if (result.code === 0) {
+    return { ok: true, applied: parseMigrationNames(result.stdout, "Applied") };
   }
 
-  try {
+  // No migrations to apply, not an error
+  if (
+    result.stderr.includes("no migration") ||
+    result.stdout.includes("No migrations")
+  ) {
+    return { ok: true, applied: [] };
+  }
+
+  const error =
+    (result.stderr || result.stdout).trim().split("\n").pop() ||
+    describeExit(result.code, null);
+  return { ok: false, applied: [], error };
+}
+
+/**
+ * List applied migrations, most recent first
+ * Read from the _migrations table through the superuser client
+ */
+async function getMigrationHistory(limit = MIGRATION_HISTORY_LIMIT) {
+  const count = Math.min(
+    Math.max(parseInt(limit) || MIGRATION_HISTORY_LIMIT, 1),
+    MIGRATION_HISTORY_LIMIT,
+  );
+  return await global.pbInternalGetAppliedMigrations(count);
+}
+
+/**
+ * List migration files that haven't been applied yet (oldest first)
+ */
+async function getPendingMigrations() {
+  const dir = path.join(resourcePath, config.Migrations.Dir);
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  const applied = new Set(await getMigrationHistory());
+  return fs
+    .readdirSync(dir)
+    .filter((file) => file.endsWith(".js") && !applied.has(file))
+    .sort();
+}
+
+/**
+ * Revert the last `count` migrations
+ * PocketBase is stopped meanwhile so it reloads the reverted schema
+ */
+async function revertMigrations(count = 1) {
+  count = parseInt(count);
+  if (!(count >= 1)) {
+    throw new Error("Number of migrations to revert must be >= 1");
+  }
+  if (!pocketbaseLaunch) {
+    throw new Error("PocketBase has not started - nothing to revert");
+  }
+
+  const reverted = await runWithPocketBaseStopped(async () => {
     const result = await spawnWithTimeout(
-      pbPath,
-      ["migrate", "up", "--dir", config.Advanced.DataDir],
-      { cwd: resourcePath },
+      pocketbaseLaunch.pbPath,
+      ...pbCommand(migrateArgs("down", String(count)), { input: "y\n" }),
       30000,
     );
+    if (result.code !== 0) {
+      throw new Error(
+        (result.stderr || result.stdout).trim() || "migrate down failed",
+      );
+    }
+
+    const names = parseMigrationNames(result.stdout, "Reverted");
+    if (names.length === 0 && !result.stdout.includes("No migrations")) {
+      throw new Error(
+        `migrate down reverted nothing: ${result.stdout.trim() || "no output"}`,
+      );
+    }
+
+    const dir = path.join(resourcePath, config.Migrations.Dir);
+    const revertedDir = path.join(dir, REVERTED_MIGRATIONS_DIR);
+    for (const name of names) {
+      if (fs.existsSync(path.join(dir, name))) {
+        fs.mkdirSync(revertedDir, { recursive: true });
+        fs.renameSync(path.join(dir, name), path.join(revertedDir, name));
+      }
+    }
+    return names;
+  });
+
+  // PocketBase is back up - make sure the migrations stayed reverted
+  const history = await getMigrationHistory();
+  const reapplied = reverted.filter((name) => history.includes(name));
+  if (reapplied.length > 0) {
+    throw new Error(
+      `Reverted migrations were applied again: ${reapplied.join(", ")}`,
+    );
+  }
+  return { reverted };
+}
+
+/**
+ * Internal: Migration status for the client exports
+ */
+global.pbInternalGetMigrationHistory = (limit) => getMigrationHistory(limit);
+global.pbInternalGetPendingMigrations = () => getPendingMigrations();
+global.pbInternalRevertMigrations = (count) => revertMigrations(count);
+
+/**
+ * Apply pending migrations before the server starts
+ * @returns {Promise<boolean>} false when startup should be blocked
+ */
+async function applyPendingMigrations(pbPath) {
+  if (!config.Migrations.AutoApply) {
+    return true;
+  }
 
-    if (result.code === 0) {
-      const output = result.stdout.trim();
+  try {
+    const result = await migrateUp(pbPath);
+    if (result.ok) {
       // Only log if migrations were actually applied
-      if (
-        output &&
-        !output.includes("No migrations") &&
-        output.includes("Applied")
-      ) {
-        const count = (output.match(/Applied/g) || []).length;
+      if (result.applied.length > 0) {
+        const count = result.applied.length;
         logger.info(`Applied ${count} migration${count !== 1 ? "s" : ""}`);
       }
-    } else if (
-      result.stderr.includes("no migration") ||
-      result.stdout.includes("No migrations")
-    ) {
-      // No migrations to apply, not an error - stay silent
-      return;
-    } else {
-      startupStatus.warnings.push(
-        "Failed to apply migrations - check pb_migrations directory",
+      return true;
+    }
+
+    if (config.Migrations.Strict) {
+      startupStatus.errors.push(
+        `Failed to apply migrations (Strict): ${result.error}`,
       );
+      return false;
     }
+    startupStatus.warnings.push(
+      `Failed to apply migrations - check ${config.Migrations.Dir} directory`,
+    );
   } catch (err) {
+    if (config.Migrations.Strict) {
+      startupStatus.errors.push(`Migration error (Strict): ${err.message}`);
+      return false;
+    }
     startupStatus.warnings.push(`Migration error: ${err.message}`);
   }
+  return true;
 }
 
 // ============================================================================
 // Config Validation
 // ============================================================================
 function validateConfig() {
+  // Syntax errors leave the defaults in place - never start with those
+  const errors = [...configLoader.errors, ...getConfigErrors(config)];
+  startupStatus.warnings.push(...configLoader.warnings);
+
+  // A secrets key is set but some secrets are still readable in the files
+  if (configLoader.getSettingsEncryptionKey()) {
+    const plain = configLoader
+      .describeSecrets()
+      .filter((secret) => secret.set && !secret.encrypted && !secret.override);
+    const previous = plain.filter((secret) => secret.previousKey);
+    const unencrypted = plain.filter((secret) => !secret.previousKey);
+    if (unencrypted.length > 0) {
+      startupStatus.warnings.push(
+        `${unencrypted.map((secret) => secret.option).join(", ")} stored in plain text - run 'pb secrets encrypt'`,
+      );
+    }
+    if (previous.length > 0) {
+      startupStatus.warnings.push(
+        `${previous.map((secret) => secret.option).join(", ")} encrypted with the previous secrets key - run 'pb secrets encrypt'`,
+      );
+    }
+  }
+
+  if (errors.length > 0) {
+    startupStatus.errors.push(...errors);
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Check the option values the config loader's type checks can't
+ * @param {object} config - Configuration to check
+ * @returns {Array<string>} Errors
+ */
+function getConfigErrors(config) {
   const errors = [];
 
   // Validate port
@@ -449,6 +890,41 @@ function validateConfig() {
     }
   }
 
+  // Validate PocketBase settings sections
+  if (config.Advanced.RateLimits.Enabled) {
+    config.Advanced.RateLimits.Rules.forEach((rule, i) => {
+      if (!rule.Label) {
+        errors.push(`RateLimits.Rules[${i + 1}] has an empty Label`);
+      }
+      if (rule.MaxRequests < 1 || rule.Duration < 1) {
+        errors.push(
+          `RateLimits.Rules[${i + 1}] MaxRequests and Duration must be >= 1`,
+        );
+      }
+      if (!["", "@guest", "@auth"].includes(rule.Audience)) {
+        errors.push(
+          `Invalid RateLimits.Rules[${i + 1}].Audience: "${rule.Audience}" (must be "", "@guest" or "@auth")`,
+        );
+      }
+    });
+  }
+  if (
+    config.Advanced.Logs.Enabled &&
+    ![-4, 0, 4, 8].includes(config.Advanced.Logs.MinLevel)
+  ) {
+    errors.push(
+      `Invalid Logs.MinLevel: ${config.Advanced.Logs.MinLevel} (must be -4, 0, 4 or 8)`,
+    );
+  }
+  if (config.Advanced.Backups.Enabled && config.Advanced.Backups.S3.Enabled) {
+    if (!config.Advanced.Backups.S3.Bucket) {
+      errors.push("Backups.S3 enabled but Bucket is empty");
+    }
+    if (!config.Advanced.Backups.S3.Region) {
+      errors.push("Backups.S3 enabled but Region is empty");
+    }
+  }
+
   // Validate backup settings
   if (config.Backup.Enabled) {
     if (config.Backup.KeepLast < 0) {
@@ -459,12 +935,95 @@ function validateConfig() {
     }
   }
 
-  if (errors.length > 0) {
-    startupStatus.errors.push(...errors);
-    return false;
+  // Validate permission levels
+  const accessLevels = ["none", "read", "write", "admin"];
+  if (!accessLevels.includes(config.Permissions.Default)) {
+    errors.push(
+      `Invalid Permissions.Default: "${config.Permissions.Default}" (must be ${accessLevels.join("/")})`,
+    );
+  }
+  for (const [resource, policy] of Object.entries(
+    config.Permissions.Resources,
+  )) {
+    for (const [collection, access] of Object.entries(policy)) {
+      if (!accessLevels.includes(access)) {
+        errors.push(
+          `Invalid access "${access}" for ${resource} on ${collection} in Config.Permissions`,
+        );
+      }
+    }
   }
 
-  return true;
+  // Validate client broker settings
+  if (config.ClientAccess.Enabled) {
+    if (!config.ClientAccess.AuthCollection) {
+      errors.push("ClientAccess enabled but AuthCollection is empty");
+    }
+    if (
+      config.ClientAccess.RateLimit < 1 ||
+      config.ClientAccess.RateWindow < 1
+    ) {
+      errors.push("ClientAccess.RateLimit and RateWindow must be >= 1");
+    }
+  }
+
+  // Validate player linking settings
+  if (config.PlayerLinking.Enabled) {
+    if (!config.PlayerLinking.AuthCollection) {
+      errors.push("PlayerLinking enabled but AuthCollection is empty");
+    }
+    if (config.PlayerLinking.Identifiers.length === 0) {
+      errors.push("PlayerLinking enabled but Identifiers is empty");
+    }
+  }
+
+  // Validate watchdog settings
+  if (config.Watchdog.Enabled) {
+    if (config.Watchdog.BaseDelay < 1) {
+      errors.push("Watchdog.BaseDelay must be >= 1");
+    }
+    if (config.Watchdog.MaxDelay < config.Watchdog.BaseDelay) {
+      errors.push("Watchdog.MaxDelay must be >= Watchdog.BaseDelay");
+    }
+  }
+
+  // Validate batch settings
+  if (config.Advanced.Batch.Enabled) {
+    if (config.Advanced.Batch.MaxRequests < 1) {
+      errors.push("Advanced.Batch.MaxRequests must be >= 1");
+    }
+    if (config.Advanced.Batch.Timeout < 1) {
+      errors.push("Advanced.Batch.Timeout must be >= 1");
+    }
+  }
+
+  // Validate write buffer settings
+  if (config.WriteBuffer.FlushInterval < 100) {
+    errors.push("WriteBuffer.FlushInterval must be >= 100");
+  }
+  if (config.WriteBuffer.MaxPending < config.WriteBuffer.FlushSize) {
+    errors.push("WriteBuffer.MaxPending must be >= WriteBuffer.FlushSize");
+  }
+
+  // Validate queue settings
+  if (config.Queue.Enabled) {
+    if (config.Queue.MaxSize < 1) {
+      errors.push("Queue.MaxSize must be >= 1");
+    }
+    if (config.Queue.Timeout < 1) {
+      errors.push("Queue.Timeout must be >= 1");
+    }
+  }
+
+  // Validate log level
+  const logLevels = ["debug", "info", "warn", "error"];
+  if (!logLevels.includes(config.Advanced.LogLevel)) {
+    errors.push(
+      `Invalid Advanced.LogLevel: "${config.Advanced.LogLevel}" (must be ${logLevels.join("/")})`,
+    );
+  }
+
+  return errors;
 }
 
 // ============================================================================
@@ -539,14 +1098,20 @@ async function performStartupBackup() {
   }
 }
 
+// Timer of the scheduled backups, replaced whenever the schedule is (re)armed
+let backupTimer = null;
+
 async function scheduleBackups() {
+  clearInterval(backupTimer);
+  backupTimer = null;
+
   if (!config.Backup.Enabled || config.Backup.Schedule <= 0) {
     return;
   }
 
   const intervalMs = config.Backup.Schedule * 1000;
 
-  setInterval(async () => {
+  backupTimer = setInterval(async () => {
     const timestamp = new Date()
       .toISOString()
       .replace(/[:.]/g, "-")
@@ -568,121 +1133,288 @@ async function scheduleBackups() {
 }
 
 // ============================================================================
-// Settings Management (SMTP/S3)
+// Settings Management
 // ============================================================================
+// Config.Advanced sections kept in sync with the PocketBase settings while
+// their Enabled flag is set, and how they map to the settings object.
+// Empty secrets are left out so they don't clear the stored ones
+const SETTINGS_SECTIONS = {
+  Meta: {
+    key: "meta",
+    // Empty fields are left to the admin UI
+    toSettings: (meta) =>
+      Object.fromEntries(
+        Object.entries({
+          appName: meta.AppName,
+          appURL: meta.AppURL,
+          senderName: meta.SenderName,
+          senderAddress: meta.SenderAddress,
+          hideControls: meta.HideControls,
+        }).filter(([, value]) => value !== ""),
+      ),
+    fromSettings: (meta, current) => ({
+      AppName: current.AppName && (meta.appName || ""),
+      AppURL: current.AppURL && (meta.appURL || ""),
+      SenderName: current.SenderName && (meta.senderName || ""),
+      SenderAddress: current.SenderAddress && (meta.senderAddress || ""),
+      HideControls: meta.hideControls === true,
+    }),
+  },
+  SMTP: {
+    key: "smtp",
+    toSettings: (smtp) => ({
+      enabled: true,
+      host: smtp.Host,
+      port: smtp.Port,
+      username: smtp.Username,
+      ...(smtp.Password && { password: smtp.Password }),
+      authMethod: "PLAIN",
+      tls: smtp.TLS,
+      localName: smtp.LocalName || "localhost",
+    }),
+    fromSettings: (smtp, current) => ({
+      Host: smtp.host || "",
+      Port: smtp.port || 587,
+      Username: smtp.username || "",
+      // An empty LocalName is sent as "localhost"
+      LocalName:
+        !current.LocalName && smtp.localName === "localhost"
+          ? ""
+          : smtp.localName || "",
+      TLS: smtp.tls !== false,
+    }),
+  },
+  S3: {
+    key: "s3",
+    toSettings: (s3) => ({
+      enabled: true,
+      bucket: s3.Bucket,
+      region: s3.Region,
+      endpoint: s3.Endpoint,
+      accessKey: s3.AccessKey,
+      ...(s3.SecretKey && { secret: s3.SecretKey }),
+      forcePathStyle: s3.ForcePathStyle,
+    }),
+    fromSettings: (s3) => ({
+      Bucket: s3.bucket || "",
+      Region: s3.region || "",
+      Endpoint: s3.endpoint || "",
+      AccessKey: s3.accessKey || "",
+      ForcePathStyle: s3.forcePathStyle === true,
+    }),
+  },
+  Batch: {
+    key: "batch",
+    // MaxBodySize 0 keeps the PocketBase default
+    toSettings: (batch) => ({
+      enabled: true,
+      maxRequests: batch.MaxRequests,
+      timeout: batch.Timeout,
+      ...(batch.MaxBodySize > 0 && { maxBodySize: batch.MaxBodySize }),
+    }),
+    fromSettings: (batch, current) => ({
+      MaxRequests: batch.maxRequests || 50,
+      Timeout: batch.timeout || 3,
+      MaxBodySize: current.MaxBodySize > 0 ? batch.maxBodySize || 0 : 0,
+    }),
+  },
+  RateLimits: {
+    key: "rateLimits",
+    toSettings: (rateLimits) => ({
+      enabled: true,
+      rules: rateLimits.Rules.map((rule) => ({
+        label: rule.Label,
+        maxRequests: rule.MaxRequests,
+        duration: rule.Duration,
+        audience: rule.Audience,
+      })),
+    }),
+    fromSettings: (rateLimits) => ({
+      Rules: (rateLimits.rules || []).map((rule) => ({
+        Label: rule.label || "",
+        MaxRequests: rule.maxRequests || 0,
+        Duration: rule.duration || 0,
+        Audience: rule.audience || "",
+      })),
+    }),
+  },
+  Logs: {
+    key: "logs",
+    toSettings: (logs) => ({
+      maxDays: logs.MaxDays,
+      minLevel: logs.MinLevel,
+      logIP: logs.LogIP,
+      logAuthId: logs.LogAuthId,
+    }),
+    fromSettings: (logs) => ({
+      MaxDays: logs.maxDays || 0,
+      MinLevel: logs.minLevel || 0,
+      LogIP: logs.logIP === true,
+      LogAuthId: logs.logAuthId === true,
+    }),
+  },
+  TrustedProxy: {
+    key: "trustedProxy",
+    toSettings: (proxy) => ({
+      headers: proxy.Headers,
+      useLeftmostIP: proxy.UseLeftmostIP,
+    }),
+    fromSettings: (proxy) => ({
+      Headers: proxy.headers || [],
+      UseLeftmostIP: proxy.useLeftmostIP === true,
+    }),
+  },
+  Backups: {
+    key: "backups",
+    toSettings: (backups) => ({
+      cron: backups.Cron,
+      cronMaxKeep: backups.CronMaxKeep,
+      s3: {
+        enabled: backups.S3.Enabled,
+        bucket: backups.S3.Bucket,
+        region: backups.S3.Region,
+        endpoint: backups.S3.Endpoint,
+        accessKey: backups.S3.AccessKey,
+        ...(backups.S3.SecretKey && { secret: backups.S3.SecretKey }),
+        forcePathStyle: backups.S3.ForcePathStyle,
+      },
+    }),
+    fromSettings: (backups) => ({
+      Cron: backups.cron || "",
+      CronMaxKeep: backups.cronMaxKeep || 0,
+      S3: {
+        Enabled: backups.s3?.enabled === true,
+        Bucket: backups.s3?.bucket || "",
+        Region: backups.s3?.region || "",
+        Endpoint: backups.s3?.endpoint || "",
+        AccessKey: backups.s3?.accessKey || "",
+        ForcePathStyle: backups.s3?.forcePathStyle === true,
+      },
+    }),
+  },
+};
+
+// PocketBase never returns these, they are compared with the last ones sent
+const MASKED_FIELDS = ["password", "secret"];
+
+// section name -> JSON of the secrets last sent
+const sentSecrets = new Map();
+
+function getManagedSections() {
+  return Object.entries(SETTINGS_SECTIONS).filter(
+    ([name]) => config.Advanced[name].Enabled,
+  );
+}
+
+/**
+ * Split section settings into the fields PocketBase returns and its secrets
+ * @returns {Array} [visible, masked]
+ */
+function splitMasked(settings) {
+  const visible = {};
+  const masked = {};
+  for (const [field, value] of Object.entries(settings)) {
+    if (MASKED_FIELDS.includes(field)) {
+      masked[field] = value;
+    } else if (value && typeof value === "object" && !Array.isArray(value)) {
+      [visible[field], masked[field]] = splitMasked(value);
+    } else {
+      visible[field] = value;
+    }
+  }
+  return [visible, masked];
+}
+
+/**
+ * Whether any wanted field differs from the current settings
+ * Lists are compared item by item, so key order inside them doesn't matter
+ */
+function settingsDiffer(wanted, current) {
+  current = current || {};
+  return Object.entries(wanted).some(([field, value]) => {
+    const other = current[field];
+    if (Array.isArray(value)) {
+      return (
+        !Array.isArray(other) ||
+        value.length !== other.length ||
+        settingsDiffer(value, other)
+      );
+    }
+    if (value && typeof value === "object") {
+      return settingsDiffer(value, other);
+    }
+    return JSON.stringify(value) !== JSON.stringify(other);
+  });
+}
+
+/**
+ * Apply the managed config sections to the PocketBase settings
+ */
 async function configureSettings() {
-  if (!config.Advanced.SMTP.Enabled && !config.Advanced.S3.Enabled) {
+  const sections = getManagedSections();
+  if (sections.length === 0) {
     return;
   }
 
   try {
     const settings = await global.pbInternalGetSettings();
-    let needsUpdate = false;
     const updates = {};
+    const secrets = new Map();
+
+    for (const [name, section] of sections) {
+      const wanted = section.toSettings(config.Advanced[name]);
+      const [visible, masked] = splitMasked(wanted);
+      const maskedJson = JSON.stringify(masked);
 
-    // Configure SMTP
-    if (config.Advanced.SMTP.Enabled) {
-      if (
-        settings.smtp?.host !== config.Advanced.SMTP.Host ||
-        settings.smtp?.port !== config.Advanced.SMTP.Port ||
-        settings.smtp?.username !== config.Advanced.SMTP.Username ||
-        settings.smtp?.password !== config.Advanced.SMTP.Password
-      ) {
-        updates.smtp = {
-          enabled: true,
-          host: config.Advanced.SMTP.Host,
-          port: config.Advanced.SMTP.Port,
-          username: config.Advanced.SMTP.Username,
-          password: config.Advanced.SMTP.Password,
-          authMethod: "PLAIN",
-          tls: config.Advanced.SMTP.TLS,
-          localName: config.Advanced.SMTP.LocalName || "localhost",
-        };
-        needsUpdate = true;
-      }
-    }
-
-    // Configure S3
-    if (config.Advanced.S3.Enabled) {
       if (
-        settings.s3?.bucket !== config.Advanced.S3.Bucket ||
-        settings.s3?.region !== config.Advanced.S3.Region ||
-        settings.s3?.endpoint !== config.Advanced.S3.Endpoint
+        settingsDiffer(visible, settings[section.key]) ||
+        sentSecrets.get(name) !== maskedJson
       ) {
-        updates.s3 = {
-          enabled: true,
-          bucket: config.Advanced.S3.Bucket,
-          region: config.Advanced.S3.Region,
-          endpoint: config.Advanced.S3.Endpoint,
-          accessKey: config.Advanced.S3.AccessKey,
-          secret: config.Advanced.S3.SecretKey,
-          forcePathStyle: config.Advanced.S3.ForcePathStyle,
-        };
-        needsUpdate = true;
+        updates[section.key] = wanted;
+        secrets.set(name, maskedJson);
       }
     }
 
-    if (needsUpdate) {
+    if (Object.keys(updates).length > 0) {
       await global.pbInternalUpdateSettings(updates);
-      logger.debug("PocketBase settings updated from config");
+      secrets.forEach((maskedJson, name) => sentSecrets.set(name, maskedJson));
+      logger.debug(
+        `PocketBase settings updated from config: ${Object.keys(updates).join(", ")}`,
+      );
     }
   } catch (err) {
     startupStatus.warnings.push(`Failed to configure settings: ${err.message}`);
   }
 }
 
+/**
+ * Save settings changed in the admin UI back to config.lua
+ * Secrets are not synced - PocketBase never returns them
+ */
 async function syncSettingsToConfig() {
-  if (!config.Advanced.SMTP.Enabled && !config.Advanced.S3.Enabled) {
+  const sections = getManagedSections();
+  if (sections.length === 0) {
     return;
   }
 
   try {
     const settings = await global.pbInternalGetSettings();
-    let needsUpdate = false;
     const updates = {};
 
-    // Check SMTP changes
-    if (config.Advanced.SMTP.Enabled && settings.smtp) {
-      if (
-        settings.smtp.host !== config.Advanced.SMTP.Host ||
-        settings.smtp.port !== config.Advanced.SMTP.Port ||
-        settings.smtp.username !== config.Advanced.SMTP.Username ||
-        settings.smtp.password !== config.Advanced.SMTP.Password
-      ) {
-        updates.SMTP = {
-          Host: settings.smtp.host || "",
-          Port: settings.smtp.port || 587,
-          Username: settings.smtp.username || "",
-          Password: settings.smtp.password || "",
-          LocalName: settings.smtp.localName || "",
-          TLS: settings.smtp.tls !== false,
-        };
-        needsUpdate = true;
+    for (const [name, section] of sections) {
+      const current = settings[section.key];
+      if (!current) {
+        continue;
       }
-    }
-
-    // Check S3 changes
-    if (config.Advanced.S3.Enabled && settings.s3) {
-      if (
-        settings.s3.bucket !== config.Advanced.S3.Bucket ||
-        settings.s3.region !== config.Advanced.S3.Region ||
-        settings.s3.endpoint !== config.Advanced.S3.Endpoint ||
-        settings.s3.accessKey !== config.Advanced.S3.AccessKey ||
-        settings.s3.secret !== config.Advanced.S3.SecretKey
-      ) {
-        updates.S3 = {
-          Bucket: settings.s3.bucket || "",
-          Region: settings.s3.region || "",
-          Endpoint: settings.s3.endpoint || "",
-          AccessKey: settings.s3.accessKey || "",
-          SecretKey: settings.s3.secret || "",
-          ForcePathStyle: settings.s3.forcePathStyle === true,
-        };
-        needsUpdate = true;
+      // Compare in config terms - toSettings adds fields config.lua doesn't
+      // have (enabled, authMethod), which would always look changed
+      const synced = section.fromSettings(current, config.Advanced[name]);
+      if (settingsDiffer(synced, config.Advanced[name])) {
+        updates[name] = synced;
       }
     }
 
-    if (needsUpdate) {
+    if (Object.keys(updates).length > 0) {
       await configLoader.updateAdvancedSettings(updates);
       logger.info("Config.lua updated with latest PocketBase settings");
     }
@@ -692,14 +1424,245 @@ async function syncSettingsToConfig() {
 }
 
 // ============================================================================
-// PocketBase Process Management
+// Config Reload
 // ============================================================================
-let pocketbaseProcess = null;
+// Options PocketBase only reads when it starts - changing them restarts it
+const POCKETBASE_OPTIONS = [
+  "Config.Port",
+  "Config.ExposeAdmin",
+  "Config.Host",
+  "Config.Advanced.Dev",
+  "Config.Advanced.AutoMigrate",
+  "Config.Advanced.DataDir",
+  "Config.Advanced.PublicDir",
+  "Config.Migrations.Dir",
+  "Config.Secrets",
+];
+
+// Options read once when the resource starts
+const RESOURCE_OPTIONS = [
+  "Config.ClientAccess",
+  "Config.PlayerLinking",
+  "Config.Cache",
+  "Config.WriteBuffer.FlushInterval",
+];
+
+function matchesOption(option, prefixes) {
+  return prefixes.some(
+    (prefix) => option === prefix || option.startsWith(`${prefix}.`),
+  );
+}
 
-async function startPocketBase() {
-  // Validate configuration
-  if (!validateConfig()) {
-    displayStartupStatus();
+// Reloads run one at a time (file watcher and console command)
+let reloadChain = Promise.resolve();
+
+/**
+ * Re-read config.lua and apply what changed
+ * @param {object} options - { quiet } to stay silent when nothing changed
+ */
+function reloadConfig(options = {}) {
+  reloadChain = reloadChain
+    .then(() => applyConfigChanges(options))
+    .catch((err) => logger.error(`Failed to reload config: ${err.message}`));
+  return reloadChain;
+}
+
+async function applyConfigChanges({ quiet = false } = {}) {
+  // Let a start in progress finish with the config it began with
+  if (startPromise) {
+    await startPromise;
+  }
+
+  const next = configLoader.read();
+  const errors = [...next.errors, ...getConfigErrors(next.config)];
+  if (errors.length > 0) {
+    errors.forEach((error) => logger.error(error));
+    logger.error("Config not reloaded - the running config is unchanged");
+    return;
+  }
+
+  const changes = configLoader.apply(next);
+  if (changes.length === 0) {
+    if (!quiet) {
+      logger.info("Config reloaded - nothing changed");
+    }
+    return;
+  }
+  next.warnings.forEach((warning) => logger.warn(warning));
+
+  // PocketBase never started (e.g. the config had errors) - start it now
+  if (!pocketbaseLaunch) {
+    startupStatus.errors = [];
+    startupStatus.warnings = [];
+    logger.info(
+      `Config reloaded (${changes.join(", ")}) - starting PocketBase`,
+    );
+    await startPocketBase();
+    return;
+  }
+
+  const restart = changes.filter((option) =>
+    matchesOption(option, POCKETBASE_OPTIONS),
+  );
+  const manual = changes.filter((option) =>
+    matchesOption(option, RESOURCE_OPTIONS),
+  );
+  const live = changes.filter(
+    (option) => !restart.includes(option) && !manual.includes(option),
+  );
+
+  if (live.some((option) => matchesOption(option, ["Config.Backup"]))) {
+    await scheduleBackups();
+  }
+  // The secrets file to watch may have changed too
+  if (
+    changes.some((option) =>
+      matchesOption(option, ["Config.HotReload", "Config.Secrets"]),
+    )
+  ) {
+    watchConfig();
+  }
+
+  // A restart configures settings and the superuser on its own
+  if (restart.length > 0) {
+    await relaunchPocketBase();
+  } else {
+    const settingsChanged = live.some((option) =>
+      matchesOption(
+        option,
+        Object.keys(SETTINGS_SECTIONS).map((name) => `Config.Advanced.${name}`),
+      ),
+    );
+    if (settingsChanged) {
+      await configureSettings();
+    }
+    if (live.some((option) => matchesOption(option, ["Config.Superuser"]))) {
+      await applySuperuserChange();
+    }
+  }
+
+  if (live.length > 0) {
+    logger.info(`Applied: ${live.join(", ")}`);
+  }
+  if (restart.length > 0) {
+    logger.info(`Applied with a PocketBase restart: ${restart.join(", ")}`);
+  }
+  if (manual.length > 0) {
+    logger.warn(
+      `Changed, but only applied after "restart ${resourceName}": ${manual.join(", ")}`,
+    );
+  }
+}
+
+/**
+ * Set the superuser from the reloaded credentials and log in again
+ */
+async function applySuperuserChange() {
+  const { Email: email, Password: password } = config.Superuser;
+  if (!email || !password) {
+    logger.warn("Superuser credentials are empty - keeping the current ones");
+    return;
+  }
+  if (!(await upsertSuperuser(pocketbaseLaunch.pbPath, email, password))) {
+    logger.error("Failed to update the superuser");
+    return;
+  }
+  await global.pbInternalReauthenticate();
+}
+
+/**
+ * Restart only the PocketBase process with new launch arguments
+ * Dependent resources keep running - their calls are queued meanwhile
+ */
+async function relaunchPocketBase() {
+  const { pbPath } = pocketbaseLaunch;
+  const { bindAddress, finalUrl } = await resolveAddresses();
+
+  // Keep PocketBase running when the new secrets key can't read its settings
+  getSettingsKeyChange();
+
+  await runWithPocketBaseStopped(async () => {
+    // Config.Advanced.DataDir may have moved the hooks dir
+    installHooks();
+    await checkSettingsKey(pbPath);
+
+    // A new data directory starts without the superuser and migrations
+    if (config.Superuser.Email && config.Superuser.Password) {
+      await upsertSuperuser(
+        pbPath,
+        config.Superuser.Email,
+        config.Superuser.Password,
+      );
+    }
+    await applyPendingMigrations(pbPath);
+
+    pocketbaseLaunch = { pbPath, args: buildServeArgs(bindAddress), finalUrl };
+  });
+
+  // Not running before (e.g. the watchdog gave up) - start it now
+  if (!pocketbaseProcess) {
+    spawnPocketBase();
+  }
+}
+
+// Files polled for changes while Config.HotReload is on
+let watchedFiles = [];
+
+/**
+ * Reload the config whenever config.lua or the secrets file is saved
+ */
+function watchConfig() {
+  watchedFiles.forEach((file) => fs.unwatchFile(file));
+  watchedFiles = [];
+  if (!config.HotReload) {
+    return;
+  }
+
+  watchedFiles = [
+    configLoader.configPath,
+    configLoader.getSecretsPath(),
+  ].filter(Boolean);
+  watchedFiles.forEach((file) => {
+    fs.watchFile(file, { interval: 2000 }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) {
+        reloadConfig({ quiet: true });
+      }
+    });
+  });
+}
+
+// ============================================================================
+// PocketBase Process Management
+// ============================================================================
+let pocketbaseProcess = null;
+
+// Launch parameters, kept so the watchdog can respawn with the same arguments
+let pocketbaseLaunch = null;
+
+// Set while client.js is restoring a backup, so the restart is expected
+let restoreInProgress = false;
+
+on("pocketbase:client:restoring", (data) => {
+  restoreInProgress = data.active;
+});
+
+// Set while PocketBase is being started, so a config reload waits for it
+// instead of starting it a second time
+let startPromise = null;
+
+function startPocketBase() {
+  if (!startPromise) {
+    startPromise = launchPocketBase().finally(() => {
+      startPromise = null;
+    });
+  }
+  return startPromise;
+}
+
+async function launchPocketBase() {
+  // Validate configuration
+  if (!validateConfig()) {
+    displayStartupStatus();
     return;
   }
 
@@ -717,6 +1680,52 @@ async function startPocketBase() {
   await checkAndUpdate(pbPath);
 
   // Determine binding address and URL based on ExposeAdmin setting
+  const { bindAddress, finalUrl, publicIP } = await resolveAddresses();
+
+  try {
+    installHooks();
+  } catch (err) {
+    startupStatus.errors.push(
+      `Failed to write PocketBase hooks: ${err.message}`,
+    );
+    displayStartupStatus();
+    return;
+  }
+
+  // Catch a changed secrets key before PocketBase fails on its settings
+  try {
+    await checkSettingsKey(pbPath);
+  } catch (err) {
+    startupStatus.errors.push(err.message);
+    displayStartupStatus();
+    return;
+  }
+
+  // Create/update superuser before starting server
+  const superuserSuccess = await createSuperuser(pbPath, publicIP);
+  if (!superuserSuccess) {
+    displayStartupStatus();
+    return;
+  }
+
+  // Apply pending migrations before starting server
+  if (!(await applyPendingMigrations(pbPath))) {
+    displayStartupStatus();
+    return;
+  }
+
+  // Perform startup backup before starting server
+  await performStartupBackup();
+
+  pocketbaseLaunch = { pbPath, args: buildServeArgs(bindAddress), finalUrl };
+  spawnPocketBase();
+}
+
+/**
+ * Determine the bind address and URL from ExposeAdmin, Host and Port
+ * @returns {Promise<object>} { bindAddress, finalUrl, publicIP }
+ */
+async function resolveAddresses() {
   let bindAddress;
   let finalUrl;
   let publicIP = null;
@@ -749,25 +1758,19 @@ async function startPocketBase() {
   startupStatus.bindAddress = bindAddress;
   startupStatus.publicUrl = finalUrl;
 
-  // Create/update superuser before starting server
-  const superuserSuccess = await createSuperuser(pbPath, publicIP);
-  if (!superuserSuccess) {
-    displayStartupStatus();
-    return;
-  }
-
-  // Apply pending migrations before starting server
-  await applyPendingMigrations(pbPath);
-
-  // Perform startup backup before starting server
-  await performStartupBackup();
+  return { bindAddress, finalUrl, publicIP };
+}
 
-  // Build arguments
+/**
+ * Arguments for `pocketbase serve`
+ */
+function buildServeArgs(bindAddress) {
   const args = [
     "serve",
     `--http=${bindAddress}`,
     `--dir=${config.Advanced.DataDir}`,
     `--publicDir=${config.Advanced.PublicDir}`,
+    `--migrationsDir=${config.Migrations.Dir}`,
   ];
 
   if (config.Advanced.Dev) {
@@ -778,14 +1781,56 @@ async function startPocketBase() {
     args.push("--automigrate=false");
   }
 
+  return args;
+}
+
+// Task to run once PocketBase exited for maintenance (see runWithPocketBaseStopped)
+let maintenanceTask = null;
+
+/**
+ * Stop PocketBase, run a task and start it again
+ * Export calls made meanwhile are queued by client.js
+ * @returns {Promise<any>} Result of the task
+ */
+function runWithPocketBaseStopped(task) {
+  if (!pocketbaseProcess) {
+    return task();
+  }
+
+  return new Promise((resolve, reject) => {
+    maintenanceTask = async () => {
+      try {
+        resolve(await task());
+      } catch (err) {
+        reject(err);
+      }
+    };
+
+    emit("pocketbase:server:stopped", {
+      code: null,
+      signal: null,
+      restarting: true,
+    });
+    pocketbaseProcess.kill("SIGTERM");
+  });
+}
+
+/**
+ * Spawn the PocketBase process with the launch parameters
+ * @param {object} options - { restored } when respawning after a backup restore
+ */
+function spawnPocketBase(options = {}) {
+  const { pbPath, args, finalUrl } = pocketbaseLaunch;
+
   // Start PocketBase
   const { spawn } = require("child_process");
-  pocketbaseProcess = spawn(pbPath, args, {
-    cwd: resourcePath,
-    stdio: ["ignore", "pipe", "pipe"],
-  });
+  const child = spawn(
+    pbPath,
+    ...pbCommand(args, { stdio: ["ignore", "pipe", "pipe"] }),
+  );
+  pocketbaseProcess = child;
 
-  pocketbaseProcess.stdout.on("data", (data) => {
+  child.stdout.on("data", (data) => {
     const lines = data.toString().split("\n");
 
     for (let line of lines) {
@@ -795,6 +1840,12 @@ async function startPocketBase() {
       // Replace 0.0.0.0 URLs with the actual public URL
       line = line.replace(/http:\/\/0\.0\.0\.0:\d+/g, finalUrl);
 
+      // PocketBase restarts itself in place after a backup restore
+      if (line.includes("Server started at") && restoreInProgress) {
+        restoreInProgress = false;
+        completeStartupHandshake({ restored: true });
+      }
+
       // Skip the default PocketBase startup messages - we'll show our own
       if (
         line.includes("Server started at") ||
@@ -819,7 +1870,7 @@ async function startPocketBase() {
     }
   });
 
-  pocketbaseProcess.stderr.on("data", (data) => {
+  child.stderr.on("data", (data) => {
     let output = data.toString().trim();
     if (output) {
       // Replace 0.0.0.0 URLs with the actual public URL in error messages too
@@ -828,65 +1879,219 @@ async function startPocketBase() {
     }
   });
 
-  pocketbaseProcess.on("close", (code) => {
-    if (code !== 0 && code !== null) {
-      logger.error(`PocketBase exited with code ${code}`);
-    } else {
+  child.on("close", (code, signal) => {
+    if (pocketbaseProcess === child) {
+      pocketbaseProcess = null;
+    }
+
+    if (watchdog.isShuttingDown) {
       logger.info("PocketBase stopped");
+      return;
     }
+
+    if (maintenanceTask) {
+      const task = maintenanceTask;
+      maintenanceTask = null;
+      task().finally(() => {
+        if (!watchdog.isShuttingDown) {
+          logger.info("Maintenance done - starting PocketBase again");
+          spawnPocketBase();
+        }
+      });
+      return;
+    }
+
+    // Platforms without in-place restart exit after a restore
+    if (restoreInProgress) {
+      restoreInProgress = false;
+      logger.info("PocketBase exited to restore a backup - starting it again");
+      spawnPocketBase({ restored: true });
+      return;
+    }
+
+    logger.error(
+      `PocketBase exited unexpectedly (${describeExit(code, signal)})`,
+    );
+    handleUnexpectedExit(code, signal);
   });
 
-  pocketbaseProcess.on("error", (err) => {
+  child.on("error", (err) => {
     startupStatus.errors.push(`Failed to start PocketBase: ${err.message}`);
     displayStartupStatus();
   });
 
   // Give it a moment to start, then perform health check and display status
   setTimeout(async () => {
-    if (pocketbaseProcess && !pocketbaseProcess.killed) {
-      // Emit ready event for client.js to listen to immediately
-      emit("pocketbase:server:ready", {
-        url: finalUrl,
-        port: config.Port,
-        exposeAdmin: config.ExposeAdmin,
-      });
+    if (pocketbaseProcess === child && !child.killed) {
+      await completeStartupHandshake(options);
+    }
+  }, 1000);
+}
 
-      // Wait for client authentication status
-      const clientReadyPromise = new Promise((resolve) => {
-        const timeout = setTimeout(() => {
-          startupStatus.clientAuthenticated = false;
-          resolve();
-        }, 3000);
-
-        on("pocketbase:client:ready", (data) => {
-          clearTimeout(timeout);
-          startupStatus.clientAuthenticated = data.authenticated;
-          resolve();
-        });
-      });
+// Resolver for the pending client handshake (one listener for all restarts)
+let pendingClientReady = null;
 
-      await clientReadyPromise;
+on("pocketbase:client:ready", (data) => {
+  if (pendingClientReady) {
+    const resolve = pendingClientReady;
+    pendingClientReady = null;
+    resolve(data.authenticated);
+  }
+});
 
-      // Perform health check if admin is exposed
-      if (config.ExposeAdmin) {
-        startupStatus.healthCheckPassed = await checkPublicUrlHealth(finalUrl);
-      }
+/**
+ * Wait for client.js to report its authentication status
+ * @param {number} timeoutMs - How long to wait before assuming failure
+ * @returns {Promise<boolean>} Whether the client authenticated
+ */
+function waitForClientReady(timeoutMs = 3000) {
+  return new Promise((resolve) => {
+    const timeout = setTimeout(() => {
+      pendingClientReady = null;
+      resolve(false);
+    }, timeoutMs);
+
+    pendingClientReady = (authenticated) => {
+      clearTimeout(timeout);
+      resolve(authenticated);
+    };
+  });
+}
 
-      // Display status after everything is ready
-      displayStartupStatus();
+async function completeStartupHandshake(options = {}) {
+  const { pbPath, finalUrl } = pocketbaseLaunch;
+
+  // A restored database may not contain the configured superuser
+  if (options.restored) {
+    logger.info("Backup restored - PocketBase restarted");
+    if (config.Superuser.Email && config.Superuser.Password) {
+      await upsertSuperuser(
+        pbPath,
+        config.Superuser.Email,
+        config.Superuser.Password,
+      );
+    }
+  }
+
+  startupStatus.clientAuthenticated = null;
+  startupStatus.healthCheckPassed = false;
+
+  // Emit ready event for client.js to listen to immediately
+  emit("pocketbase:server:ready", {
+    url: finalUrl,
+    port: config.Port,
+    exposeAdmin: config.ExposeAdmin,
+    restartCount: startupStatus.restartCount,
+  });
+
+  // Wait for client authentication status
+  startupStatus.clientAuthenticated = await waitForClientReady();
+
+  // Perform health check if admin is exposed
+  if (config.ExposeAdmin) {
+    startupStatus.healthCheckPassed = await checkPublicUrlHealth(finalUrl);
+  }
+
+  // Display status after everything is ready
+  displayStartupStatus();
+
+  // Settings and backup schedule only need to be set up once
+  if (watchdog.hasStarted) {
+    return;
+  }
+  watchdog.hasStarted = true;
+
+  // Configure SMTP/S3 settings after startup
+  setTimeout(async () => {
+    await configureSettings();
+  }, 2000);
+
+  // Schedule periodic backups
+  await scheduleBackups();
+}
+
+// ============================================================================
+// Process Watchdog
+// ============================================================================
+const watchdog = {
+  hasStarted: false,
+  isShuttingDown: false,
+  restartTimer: null,
+  recentCrashes: [], // Timestamps of unexpected exits inside CrashWindow
+};
+
+function describeExit(code, signal) {
+  return signal ? `signal ${signal}` : `exit code ${code}`;
+}
+
+function handleUnexpectedExit(code, signal) {
+  const now = Date.now();
+  const crashWindowMs = config.Watchdog.CrashWindow * 1000;
+
+  watchdog.recentCrashes = watchdog.recentCrashes.filter(
+    (timestamp) => now - timestamp < crashWindowMs,
+  );
+  watchdog.recentCrashes.push(now);
+
+  startupStatus.lastExitReason = `${describeExit(code, signal)} at ${new Date(now).toLocaleTimeString()}`;
+
+  // Let client.js pause until the next ready handshake
+  emit("pocketbase:server:stopped", {
+    code,
+    signal,
+    restarting: config.Watchdog.Enabled,
+  });
+
+  if (!config.Watchdog.Enabled) {
+    startupStatus.errors.push(
+      `PocketBase exited (${startupStatus.lastExitReason}) - watchdog disabled`,
+    );
+    displayStartupStatus();
+    return;
+  }
+
+  const crashCount = watchdog.recentCrashes.length;
+  if (crashCount > config.Watchdog.MaxRestarts) {
+    startupStatus.errors.push(
+      `Crash loop detected: ${crashCount} exits within ${config.Watchdog.CrashWindow}s - run "restart ${resourceName}" after fixing the cause`,
+    );
+    displayStartupStatus();
+    return;
+  }
+
+  const delay = Math.min(
+    config.Watchdog.BaseDelay * Math.pow(2, crashCount - 1),
+    config.Watchdog.MaxDelay,
+  );
 
-      // Configure SMTP/S3 settings after startup
-      setTimeout(async () => {
-        await configureSettings();
-      }, 2000);
+  logger.warn(
+    `Restarting PocketBase in ${delay}ms (attempt ${crashCount}/${config.Watchdog.MaxRestarts})`,
+  );
 
-      // Schedule periodic backups
-      await scheduleBackups();
+  watchdog.restartTimer = setTimeout(() => {
+    watchdog.restartTimer = null;
+    if (watchdog.isShuttingDown) {
+      return;
     }
-  }, 1000);
+    startupStatus.restartCount++;
+    spawnPocketBase();
+  }, delay);
 }
 
 async function stopPocketBase() {
+  watchdog.isShuttingDown = true;
+  if (watchdog.restartTimer) {
+    clearTimeout(watchdog.restartTimer);
+    watchdog.restartTimer = null;
+  }
+
+  // Write queued updates while PocketBase is still running
+  try {
+    await global.pbInternalFlushWrites();
+  } catch (err) {
+    logger.warn(`Failed to flush queued updates on shutdown: ${err.message}`);
+  }
+
   // Sync settings to config before stopping
   try {
     await syncSettingsToConfig();
@@ -908,6 +2113,351 @@ async function stopPocketBase() {
   }
 }
 
+// ============================================================================
+// Console Commands
+// ============================================================================
+// Restricted to the console and principals with the "command.pb" ace:
+//   add_ace group.admin command.pb allow
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function printCommandHelp() {
+  logger.raw("");
+  logger.raw(colors.cyan("PocketBase console commands:"));
+  logger.raw("  pb status                     Show the status box");
+  logger.raw("  pb health                     Check PocketBase health");
+  logger.raw("  pb backup list                List backups");
+  logger.raw("  pb backup create [name]       Create a backup");
+  logger.raw("  pb backup delete <key>        Delete a backup");
+  logger.raw(
+    "  pb backup restore <key>       Restore a backup (restarts PocketBase)",
+  );
+  logger.raw("  pb users list                 List superuser accounts");
+  logger.raw("  pb users password [password]  Rotate the superuser password");
+  logger.raw(
+    "  pb subscriptions              List active realtime subscriptions",
+  );
+  logger.raw(
+    "  pb schema [apply]             Plan (or apply) declared schemas",
+  );
+  logger.raw(
+    "  pb migrate create <name>      Write a migration for declared schemas",
+  );
+  logger.raw("  pb migrate history            List applied migrations");
+  logger.raw("  pb migrate pending            List migrations not applied yet");
+  logger.raw(
+    "  pb migrate down [n]           Revert the last n migrations (restarts PocketBase)",
+  );
+  logger.raw(
+    "  pb reload                     Reload config.lua and apply changes",
+  );
+  logger.raw("  pb secrets                    Show where secrets are stored");
+  logger.raw("  pb secrets reveal             Show generated secrets (once)");
+  logger.raw(
+    "  pb secrets encrypt            Encrypt secrets stored in plain text",
+  );
+  logger.raw("");
+}
+
+async function commandBackup(action, key) {
+  switch (action) {
+    case "list": {
+      const backups = await global.pbInternalListBackups();
+      if (backups.length === 0) {
+        logger.info("No backups found");
+        return;
+      }
+      backups
+        .sort((a, b) => new Date(b.modified) - new Date(a.modified))
+        .forEach((backup) => {
+          logger.raw(
+            `  ${colors.cyan(backup.key)} ${colors.gray(`${formatBytes(backup.size)}, ${backup.modified}`)}`,
+          );
+        });
+      return;
+    }
+
+    case "create": {
+      // PocketBase only accepts lowercase "name.zip" basenames
+      const basename = key && !key.endsWith(".zip") ? `${key}.zip` : key || "";
+      await global.pbInternalCreateBackup(basename.toLowerCase());
+      logger.info(`Backup created${basename ? `: ${basename}` : ""}`);
+      return;
+    }
+
+    case "delete":
+      if (!key) {
+        logger.warn("Usage: pb backup delete <key>");
+        return;
+      }
+      await global.pbInternalDeleteBackup(key);
+      logger.info(`Backup deleted: ${key}`);
+      return;
+
+    case "restore":
+      if (!key) {
+        logger.warn("Usage: pb backup restore <key>");
+        return;
+      }
+      logger.warn(`Restoring backup ${key} - PocketBase will restart`);
+      await global.pbInternalRestoreBackup(key);
+      logger.info(`Backup restored: ${key}`);
+      return;
+
+    default:
+      logger.warn("Usage: pb backup <list|create|delete|restore> [key]");
+  }
+}
+
+async function commandUsers(action, newPassword) {
+  switch (action) {
+    case "list": {
+      const superusers = await global.pbInternalListSuperusers();
+      superusers.forEach((superuser) => {
+        const current =
+          superuser.email === config.Superuser.Email
+            ? colors.green(" (used by this resource)")
+            : "";
+        logger.raw(`  ${colors.cyan(superuser.email)}${current}`);
+      });
+      return;
+    }
+
+    case "password": {
+      if (!pocketbaseLaunch) {
+        logger.error("PocketBase has not been started");
+        return;
+      }
+
+      const email = config.Superuser.Email;
+      const password = newPassword || generateRandomPassword();
+
+      if (!(await upsertSuperuser(pocketbaseLaunch.pbPath, email, password))) {
+        logger.error("Failed to update superuser password");
+        return;
+      }
+
+      if (!configLoader.updateSuperuserCredentials(email, password)) {
+        logger.warn("Password changed but could not be saved to config.lua");
+      }
+
+      const authenticated = await global.pbInternalReauthenticate();
+      logger.info(
+        `Superuser password rotated for ${email}${authenticated ? "" : colors.red(" - re-authentication failed")}`,
+      );
+      if (!newPassword) {
+        holdSecret("Superuser password", password);
+        logger.info(`New password: ${maskedSecret("Superuser password")}`);
+      }
+      return;
+    }
+
+    default:
+      logger.warn("Usage: pb users <list|password> [password]");
+  }
+}
+
+async function commandHealth() {
+  const running = pocketbaseProcess !== null && !pocketbaseProcess.killed;
+  logger.raw(
+    `  ${colors.white("Process: ")} ${running ? colors.green("Running") : colors.red("Stopped")}`,
+  );
+
+  try {
+    const health = await global.pbInternalHealthCheck();
+    logger.raw(
+      `  ${colors.white("API:     ")} ${colors.green(`${health.code} ${health.message}`)}`,
+    );
+  } catch (err) {
+    logger.raw(`  ${colors.white("API:     ")} ${colors.red(err.message)}`);
+  }
+
+  if (config.ExposeAdmin) {
+    const reachable = await checkPublicUrlHealth(startupStatus.publicUrl);
+    logger.raw(
+      `  ${colors.white("Public:  ")} ${reachable ? colors.green("Reachable") : colors.red("Not Accessible")}`,
+    );
+  }
+}
+
+async function commandSchema(action) {
+  const apply = action === "apply";
+  const results = await global.pbInternalSyncSchemas({ dryRun: !apply });
+  const owners = Object.keys(results);
+  if (owners.length === 0) {
+    logger.info("No resource has declared a schema");
+    return;
+  }
+
+  owners.forEach((owner) => {
+    const result = results[owner];
+    if (!result.error && result.changes.length === 0) {
+      logger.info(`${owner}: schema is up to date`);
+    }
+  });
+  if (!apply) {
+    logger.info("Dry run - use 'pb schema apply' to apply the changes");
+  }
+}
+
+async function commandMigrate(action, name) {
+  switch (action) {
+    case "create": {
+      if (!name) {
+        logger.error("Usage: pb migrate create <name>");
+        return;
+      }
+      const result = await global.pbInternalGenerateMigration(name);
+      if (result.changes.length === 0) {
+        logger.info("No schema changes - wrote a blank migration");
+      }
+      logger.info("It is applied the next time PocketBase starts");
+      break;
+    }
+    case "history": {
+      const history = await getMigrationHistory();
+      if (history.length === 0) {
+        logger.info("No migrations applied");
+        return;
+      }
+      history.forEach((file) => logger.raw(`  ${colors.cyan(file)}`));
+      break;
+    }
+    case "pending": {
+      const pending = await getPendingMigrations();
+      if (pending.length === 0) {
+        logger.info("No pending migrations");
+        return;
+      }
+      pending.forEach((file) => logger.raw(`  ${colors.yellow(file)}`));
+      break;
+    }
+    case "down": {
+      const { reverted } = await revertMigrations(name || 1);
+      if (reverted.length === 0) {
+        logger.info("No migrations to revert");
+        return;
+      }
+      reverted.forEach((file) => logger.info(`Reverted ${file}`));
+      break;
+    }
+    default:
+      printCommandHelp();
+  }
+}
+
+function commandSecrets(action) {
+  switch (action) {
+    case "reveal": {
+      if (unrevealedSecrets.size === 0) {
+        logger.info(
+          "Nothing to reveal - generated secrets are shown only once",
+        );
+        return;
+      }
+      for (const [label, value] of unrevealedSecrets) {
+        logger.raw(`  ${colors.white(`${label}:`)} ${colors.cyan(value)}`);
+      }
+      unrevealedSecrets.clear();
+      break;
+    }
+    case "encrypt": {
+      const encrypted = configLoader.encryptSecrets();
+      if (encrypted.length === 0) {
+        logger.info("No secrets stored in plain text or with the previous key");
+        return;
+      }
+      encrypted.forEach((option) => logger.info(`Encrypted ${option}`));
+      break;
+    }
+    default: {
+      configLoader.describeSecrets().forEach((secret) => {
+        let state = colors.gray("not set");
+        if (secret.set && secret.override) {
+          state = colors.cyan(`from ${secret.source}`);
+        } else if (secret.set && secret.encrypted) {
+          state = colors.green(`encrypted in ${secret.source}`);
+        } else if (secret.set && secret.previousKey) {
+          state = colors.yellow(
+            `encrypted with the previous key in ${secret.source}`,
+          );
+        } else if (secret.set) {
+          state = colors.yellow(
+            `plain text in ${secret.source || "config.lua"}`,
+          );
+        }
+        logger.raw(`  ${colors.white(secret.option)} ${state}`);
+      });
+      if (!configLoader.getSettingsEncryptionKey()) {
+        logger.info(
+          "No secrets key set - set PB_SECRETS_KEY or the pb_secrets_key convar to encrypt secrets",
+        );
+      }
+    }
+  }
+}
+
+function commandSubscriptions() {
+  const subscriptions = global.pbInternalListSubscriptions();
+  if (subscriptions.length === 0) {
+    logger.info("No active realtime subscriptions");
+    return;
+  }
+  subscriptions.forEach((subscription) => {
+    logger.raw(
+      `  ${colors.cyan(subscription.key)} ${colors.gray(subscription.owners.join(", "))}`,
+    );
+  });
+}
+
+RegisterCommand(
+  "pb",
+  async (source, args) => {
+    const [subcommand, action, value] = args;
+
+    try {
+      switch (subcommand) {
+        case "status":
+          displayStartupStatus();
+          break;
+        case "health":
+          await commandHealth();
+          break;
+        case "backup":
+          await commandBackup(action, value);
+          break;
+        case "users":
+          await commandUsers(action, value);
+          break;
+        case "subscriptions":
+          commandSubscriptions();
+          break;
+        case "schema":
+          await commandSchema(action);
+          break;
+        case "migrate":
+          await commandMigrate(action, value);
+          break;
+        case "secrets":
+          commandSecrets(action);
+          break;
+        case "reload":
+          await reloadConfig();
+          break;
+        default:
+          printCommandHelp();
+      }
+    } catch (err) {
+      logger.error(`pb ${subcommand}: ${err.message}`);
+    }
+  },
+  true,
+);
+
 // ============================================================================
 // Shutdown Handlers
 // ============================================================================
@@ -921,7 +2471,14 @@ process.on("beforeExit", () => {
   stopPocketBase();
 });
 
+on("onResourceStop", (resource) => {
+  if (resource === resourceName) {
+    watchedFiles.forEach((file) => fs.unwatchFile(file));
+  }
+});
+
 // ============================================================================
 // Start
 // ============================================================================
 startPocketBase();
+watchConfig();